@@ -3,56 +3,835 @@
  * Coauthored CLI - encode, decode, validate statements
  *
  * Usage:
- *   node cli.js encode <json-file>
+ *   node cli.js encode <json-file> [--compact] [--canonical]
+ *   node cli.js new [--interactive] [--<axis|detail> <value>]...
  *   node cli.js decode <statement>
- *   node cli.js validate [config-file]
- *   node cli.js badge <statement>
+ *   node cli.js check <statement>
+ *   node cli.js lint <statement>
+ *   node cli.js validate [config-file] [--print-resolved]
+ *   node cli.js badge <statement> [--svg] [--style <style>]
  *   node cli.js markdown <statement>
+ *   node cli.js migrate <statement>
+ *   node cli.js diff <statement> <statement> [--json]
+ *   node cli.js keygen [--out <file>] [--kid <id>]
+ *   node cli.js sign <statement> --key <file>
+ *   node cli.js verify <statement> [--pubkey <key-or-file>]
+ *   node cli.js manifest validate|which <path>|report
+ *   node cli.js scan [dir] [--json]
+ *   node cli.js report [file|dir|-]... [--html] [--out <file>]
+ *   node cli.js trailer <statement|json-file>
+ *   node cli.js log [rev-range] [--by month|author|path] [--json] [-- <path>...]
+ *   node cli.js hook install [statement]|uninstall
  */
 
-import { readFileSync } from 'fs'
-import { encode, decode, badgeUrl, badgeMarkdown } from './core.js'
-import { validateConfig, getQuadrant, getBadgeServiceUrl } from './config.js'
+import { readFileSync, writeFileSync, existsSync, statSync, chmodSync, unlinkSync } from 'fs'
+import { dirname, resolve, relative, join, sep } from 'path'
+import { fileURLToPath } from 'url'
+import { createInterface } from 'readline'
+import {
+  encodeAsync,
+  canonicalize,
+  contentKey,
+  decode,
+  decodeAsync,
+  decodeStrict,
+  parseUrl,
+  badgeUrl,
+  badgeSvg,
+  badgeMarkdown,
+  generateKeyPair,
+  keyFingerprint,
+  signStatement,
+  verifyStatement,
+  getSignature,
+  extractStatements,
+} from './core.js'
+import {
+  validateConfig,
+  validateStatement,
+  getStatementQuadrant,
+  getScore,
+  toList,
+  getBadge,
+  getBadgeServiceUrl,
+  migrate,
+  migrateToCurrent,
+  mergeConfig,
+  getExtends,
+  assertNoCycle,
+  loadOriginConfig,
+  loadConfig,
+  checkSignature,
+} from './config.js'
+import { MANIFEST_FILE, parseManifest, matchManifest } from './manifest.js'
+import { walkFiles, gitignoreFilter } from './files.js'
+import { summarizeStatements, renderMarkdownReport, renderHtmlReport } from './report.js'
+import { getViolations } from './policy.js'
+import { diffStatements } from './diff.js'
+import { applyQuestionnaire } from './questionnaire.js'
+import {
+  formatTrailer,
+  parseTrailer,
+  readGitLog,
+  summarizeHistory,
+  TRAILER_KEY,
+  gitPath,
+  readState,
+  writeState,
+  addHookBlock,
+  removeHookBlock,
+  isEmptyHook,
+  addTrailer,
+  isAmend,
+} from './history.js'
 
-function loadConfigSync(path = './coauthored.json') {
-  const raw = readFileSync(path, 'utf8')
-  const config = JSON.parse(raw)
+/**
+ * Read a config file and everything it extends, merged but not validated
+ * @param {string} path - Absolute config path
+ * @param {string[]} chain - Paths currently being resolved (cycle detection)
+ * @returns {Object} Merged config
+ */
+function readConfigChain(path, chain = []) {
+  assertNoCycle(path, chain)
+  const config = JSON.parse(readFileSync(path, 'utf8'))
+
+  let merged = {}
+  for (const base of getExtends(config, (rel) => resolve(dirname(path), rel))) {
+    merged = mergeConfig(merged, readConfigChain(base, [...chain, path]))
+  }
+  return mergeConfig(merged, config)
+}
+
+const CONFIG_FILE = 'coauthored.json'
+
+/**
+ * Find the config: the nearest coauthored.json from cwd upwards (so commands
+ * work anywhere in a repo, as hooks do from its root), else the CLI's own
+ * @returns {string} Absolute config path
+ */
+function findConfigPath() {
+  let dir = process.cwd()
+  while (!existsSync(join(dir, CONFIG_FILE))) {
+    const parent = dirname(dir)
+    if (parent === dir) return fileURLToPath(new URL(CONFIG_FILE, import.meta.url))
+    dir = parent
+  }
+  return join(dir, CONFIG_FILE)
+}
+
+const CONFIG_PATH = findConfigPath()
+
+function loadConfigSync(path = CONFIG_PATH) {
+  const config = readConfigChain(resolve(path))
   validateConfig(config)
   return config
 }
 
+/**
+ * Read a public key given inline, as a raw key file, or as a JWK file
+ * @param {string} value - Base64url key or path
+ * @returns {string} Base64url raw public key
+ */
+function readPublicKey(value) {
+  if (!existsSync(value)) return value
+  const raw = readFileSync(value, 'utf8').trim()
+  return raw.startsWith('{') ? JSON.parse(raw).x : raw
+}
+
+const warnedOrigins = new Set()
+
+/**
+ * Load an origin's config: URLs are fetched, paths are relative to the local config
+ * @param {string} location - From the `origins` registry
+ * @returns {Object|Promise<Object>} Validated config
+ */
+function loadOriginLocation(location) {
+  return /^https?:\/\//.test(location)
+    ? loadConfig(location)
+    : loadConfigSync(resolve(dirname(CONFIG_PATH), location))
+}
+
+/**
+ * Resolve the config a statement's origin refers to via the `origins` registry
+ * Warns on stderr (once per origin) and falls back to the local config for
+ * unknown origins and configs that fail to load.
+ * @param {string} origin - Statement origin (data._o)
+ * @param {Object} config - Local config
+ * @returns {Promise<Object>} Config to interpret the statement with
+ */
+async function resolveOriginConfig(origin, config) {
+  const result = await loadOriginConfig(origin, config, loadOriginLocation)
+  if (!result.known && !warnedOrigins.has(origin)) {
+    warnedOrigins.add(origin)
+    console.error(
+      result.error
+        ? `Warning: could not load config for origin "${origin}" (${result.error.message}), using local config`
+        : `Warning: unknown origin "${origin}", using local config`
+    )
+  }
+  return result.config
+}
+
+/**
+ * Split CLI args into positionals and --flags
+ * @param {string[]} args - Raw arguments after the command
+ * @param {string[]} valueFlags - Flags that take the following arg as their value
+ * @param {string[]} [booleanFlags] - When given, the only other flags allowed
+ * @returns {{ positional: string[], flags: Object, rest: string[] }} `rest` holds
+ *   everything after a bare `--`
+ * @throws {Error} If a value flag has no value, or a flag is not allowed
+ */
+function parseArgs(args, valueFlags = [], booleanFlags) {
+  const positional = []
+  const flags = {}
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--') return { positional, flags, rest: args.slice(i + 1) }
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s)
+    if (booleanFlags && !valueFlags.includes(name) && !booleanFlags.includes(name)) {
+      throw new Error(`Unknown option --${name}`)
+    }
+    if (inline !== undefined) {
+      flags[name] = inline
+    } else if (valueFlags.includes(name)) {
+      const value = args[++i]
+      if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`)
+      flags[name] = value
+    } else {
+      flags[name] = true
+    }
+  }
+  return { positional, flags, rest: [] }
+}
+
+/**
+ * Find the nearest directory (from cwd upwards) holding the manifest
+ * @returns {string} Directory path
+ */
+function findManifestRoot() {
+  let dir = process.cwd()
+  while (!existsSync(join(dir, MANIFEST_FILE))) {
+    const parent = dirname(dir)
+    if (parent === dir) throw new Error(`No ${MANIFEST_FILE} manifest found`)
+    dir = parent
+  }
+  return dir
+}
+
+/**
+ * Run a `manifest` subcommand
+ * @param {string} subcommand - validate, which or report
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} config - Loaded config
+ */
+async function runManifest(subcommand, args, config) {
+  const root = findManifestRoot()
+  const manifestPath = join(root, MANIFEST_FILE)
+  const { rules, problems } = parseManifest(readFileSync(manifestPath, 'utf8'))
+
+  switch (subcommand) {
+    case 'validate': {
+      const files = walkFiles(root)
+      let errors = problems.length
+      for (const p of problems) console.error(`  line ${p.line}: error   ${p.message}`)
+
+      const seen = new Map()
+      for (const rule of rules) {
+        const where = `  line ${rule.line}:`
+        if (seen.has(rule.pattern)) {
+          console.error(`${where} warning ${rule.pattern} repeats line ${seen.get(rule.pattern)}; the later rule wins`)
+        }
+        seen.set(rule.pattern, rule.line)
+
+        if (!files.some((f) => rule.regex.test(f))) {
+          console.error(`${where} warning ${rule.pattern} matches no files`)
+        }
+
+        const { issues } = await decodeAsync(rule.statement, config).then(
+          (data) => validateStatement(data, config),
+          (e) => ({ issues: [{ severity: 'error', key: null, message: e.message }] })
+        )
+        for (const issue of issues) {
+          if (issue.severity === 'error') errors++
+          const key = issue.key ? `${issue.key}: ` : ''
+          console.error(`${where} ${issue.severity.padEnd(7)} ${key}${issue.message}`)
+        }
+      }
+
+      if (errors) {
+        console.error(`Manifest invalid: ${manifestPath}`)
+        process.exit(1)
+      }
+      console.log(`Manifest valid: ${manifestPath} (${rules.length} rules)`)
+      break
+    }
+
+    case 'which': {
+      if (!args[0]) {
+        console.error('Usage: node cli.js manifest which <path>')
+        process.exit(1)
+      }
+      const path = relative(root, resolve(args[0])).split(sep).join('/')
+      const rule = matchManifest(rules, path)
+      if (!rule) {
+        console.error(`No statement applies to ${path}`)
+        process.exit(1)
+      }
+      const q = getStatementQuadrant(await decodeAsync(rule.statement, config), config)
+      console.log(rule.statement)
+      console.log(`  Rule: ${rule.pattern} (line ${rule.line})`)
+      if (q) console.log(`  Quadrant: ${q.label}`)
+      break
+    }
+
+    case 'report': {
+      const counts = new Map(rules.map((rule) => [rule, 0]))
+      const uncovered = []
+      const files = walkFiles(root).filter((f) => f !== MANIFEST_FILE)
+      for (const file of files) {
+        const rule = matchManifest(rules, file)
+        if (rule) counts.set(rule, counts.get(rule) + 1)
+        else uncovered.push(file)
+      }
+
+      const byQuadrant = new Map()
+      console.log(`Manifest: ${manifestPath}`)
+      console.log(`Files: ${files.length}, covered: ${files.length - uncovered.length}\n`)
+      for (const [rule, count] of counts) {
+        const q = getStatementQuadrant(await decodeAsync(rule.statement, config), config)
+        const label = q?.label || 'Unknown'
+        byQuadrant.set(label, (byQuadrant.get(label) || 0) + count)
+        console.log(`  ${String(count).padStart(5)}  ${rule.pattern.padEnd(30)} ${label}`)
+      }
+      console.log('\nBy quadrant:')
+      for (const [label, count] of byQuadrant) {
+        console.log(`  ${String(count).padStart(5)}  ${label}`)
+      }
+      if (uncovered.length) {
+        console.log(`\nUncovered (${uncovered.length}):`)
+        for (const file of uncovered) console.log(`  ${file}`)
+      }
+      break
+    }
+
+    default:
+      console.error('Usage: node cli.js manifest validate|which <path>|report')
+      process.exit(1)
+  }
+}
+
+const HOOK_NAME = 'prepare-commit-msg'
+
+/**
+ * Decode a statement and check it against the config
+ * @param {string} statement - Encoded statement
+ * @param {Object} config - Loaded config
+ * @returns {Promise<Array<Object>>} Error-level issues (empty when valid)
+ */
+async function statementErrors(statement, config) {
+  let data
+  try {
+    data = await decodeAsync(statement, config)
+  } catch (e) {
+    return [{ key: null, message: e.message }]
+  }
+  if (!data) return [{ key: null, message: 'Could not decode statement' }]
+  return validateStatement(data, config).issues.filter((i) => i.severity === 'error')
+}
+
+/**
+ * Run a `hook` subcommand
+ * @param {string} subcommand - install, uninstall or run
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} config - Loaded config
+ */
+async function runHook(subcommand, args, config) {
+  const hookFile = gitPath(`hooks/${HOOK_NAME}`)
+  const existing = existsSync(hookFile) ? readFileSync(hookFile, 'utf8') : ''
+
+  switch (subcommand) {
+    case 'install': {
+      const statement = args[0] && parseUrl(args[0])
+      if (statement) {
+        const errors = await statementErrors(statement, config)
+        if (errors.length) throw new Error(`Invalid statement: ${errors[0].message}`)
+        writeState({ lastStatement: statement })
+      }
+      const cli = fileURLToPath(import.meta.url)
+      writeFileSync(hookFile, addHookBlock(existing, `node "${cli}" hook run "$@" || true`))
+      chmodSync(hookFile, 0o755)
+      console.log(`Installed ${hookFile}`)
+      if (!readState().lastStatement) {
+        console.log(`No statement yet: run \`node cli.js trailer <statement>\` or \`hook install <statement>\``)
+      }
+      break
+    }
+
+    case 'uninstall': {
+      const rest = removeHookBlock(existing)
+      if (rest === existing) {
+        console.log('Hook not installed')
+        break
+      }
+      if (isEmptyHook(rest)) unlinkSync(hookFile)
+      else writeFileSync(hookFile, rest)
+      console.log(`Removed hook from ${hookFile}`)
+      break
+    }
+
+    case 'run': {
+      // Called by git with: <message file> [source] [commit]; `commit --amend -m`
+      // arrives as a plain "message" commit, so amends are detected separately
+      const [messageFile, source] = args
+      if (!messageFile || ['merge', 'squash', 'commit'].includes(source) || isAmend()) break
+      const { lastStatement } = readState()
+      if (!lastStatement) break
+      const errors = await statementErrors(lastStatement, config)
+      if (errors.length) {
+        console.error(`${TRAILER_KEY}: last statement no longer valid (${errors[0].message}), not adding trailer`)
+        break
+      }
+      addTrailer(messageFile, lastStatement)
+      break
+    }
+
+    default:
+      console.error('Usage: node cli.js hook install [statement]|uninstall')
+      process.exit(1)
+  }
+}
+
+/**
+ * Public base URL for statements from a config
+ * @param {Object} config - Loaded config
+ * @returns {string}
+ */
+function statementBaseUrl(config) {
+  return config.meta?.origin ? `https://${config.meta.origin}` : 'https://coauthored.dev'
+}
+
+/**
+ * Values for `auto` details, as the web creator fills them
+ * @param {Object} config - Loaded config
+ * @returns {Object}
+ */
+function autoDetails(config) {
+  const result = {}
+  for (const [key, field] of Object.entries(config.details)) {
+    if (field.auto && field.type === 'date') result[key] = new Date().toISOString().split('T')[0]
+  }
+  return result
+}
+
+/**
+ * Line-based terminal prompt; buffers input so piped answers are not lost
+ * @returns {{ ask: (text: string) => Promise<string>, close: () => void }}
+ */
+function createPrompt() {
+  const rl = createInterface({ input: process.stdin, terminal: false })
+  const lines = rl[Symbol.asyncIterator]()
+  return {
+    async ask(text) {
+      process.stdout.write(text)
+      const { value, done } = await lines.next()
+      if (done) throw new Error('Input ended before all questions were answered')
+      if (!process.stdin.isTTY) process.stdout.write(`${value}\n`)
+      return value
+    },
+    close: () => rl.close(),
+  }
+}
+
+/**
+ * Ask the config's questionnaire in the terminal
+ * @param {Object} rl - Prompt from createPrompt
+ * @param {Object} config - Loaded config
+ * @returns {Promise<Object>} Initial values from applyQuestionnaire
+ */
+async function askQuestionnaire(rl, config) {
+  const { title, intro, questions = [] } = config.questionnaire || {}
+  if (!questions.length) throw new Error('Config has no questionnaire')
+  if (title) console.log(`\n${title}`)
+  if (intro) console.log(intro)
+
+  const answers = {}
+  for (const question of questions) {
+    console.log(`\n${question.text}`)
+    question.answers.forEach((answer, i) => console.log(`  ${i + 1}) ${answer.label}`))
+    for (;;) {
+      const input = (await rl.ask('Choice (Enter to skip): ')).trim()
+      if (!input) break
+      const answer = question.answers[Number(input) - 1]
+      if (answer) {
+        answers[question.id] = answer.value
+        break
+      }
+      console.log(`  Enter a number from 1 to ${question.answers.length}`)
+    }
+  }
+  return applyQuestionnaire(answers, config)
+}
+
+/**
+ * Wrap text in a 24-bit terminal colour when stdout is a colour terminal
+ * @param {string} text
+ * @param {string} hex - Colour without '#', e.g. "d55e00"
+ * @returns {string}
+ */
+function colorize(text, hex) {
+  if (!process.stdout.isTTY || process.env.NO_COLOR) return text
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16))
+  return `\x1b[38;2;${r};${g};${b}m${text}\x1b[0m`
+}
+
+/** Colours for `diff` output: added, removed, changed */
+const DIFF_COLORS = { added: '3fb950', removed: 'f85149', changed: 'd29922' }
+const DIFF_MARKS = { added: '+', removed: '-', changed: '~' }
+
+/**
+ * Print a statement diff for the terminal, changed fields only
+ * @param {Object} diff - From diffStatements
+ * @param {Object} config
+ */
+function printDiff(diff, config) {
+  const { before, after } = diff.quadrant
+  const quadrant = diff.quadrant.changed
+    ? `${colorize(before.label, before.color)} → ${colorize(after.label, after.color)} (changed)`
+    : colorize(after.label, after.color)
+  console.log(`Quadrant: ${quadrant}`)
+  if (diff.score && diff.score.before !== diff.score.after) {
+    console.log(`${config.ui.labels.score}: ${diff.score.before} → ${diff.score.after}`)
+  }
+
+  const changed = diff.fields.filter((f) => f.status !== 'unchanged')
+  if (!changed.length) {
+    console.log('No changes')
+    return
+  }
+  const width = Math.max(...changed.map((f) => f.label.length))
+  for (const f of changed) {
+    let value
+    if (f.status === 'added') value = f.afterLabel
+    else if (f.status === 'removed') value = f.beforeLabel
+    else if (f.type === 'flags') value = [...f.added.map((v) => `+${v}`), ...f.removed.map((v) => `-${v}`)].join(', ')
+    else value = `${f.beforeLabel} → ${f.afterLabel}`
+    console.log(colorize(`  ${DIFF_MARKS[f.status]} ${f.label.padEnd(width)}  ${value}`, DIFF_COLORS[f.status]))
+  }
+}
+
+/**
+ * Ask for a number from a numbered list until the answer is valid
+ * @param {Object} rl - Prompt from createPrompt
+ * @param {string} text - Prompt text
+ * @param {number} count - Number of options
+ * @returns {Promise<number|null>} Zero-based index, or null on Enter
+ */
+async function askChoice(rl, text, count) {
+  for (;;) {
+    const input = (await rl.ask(text)).trim()
+    if (!input) return null
+    const n = Number(input)
+    if (Number.isInteger(n) && n >= 1 && n <= count) return n - 1
+    console.log(`  Enter a number from 1 to ${count}`)
+  }
+}
+
+/**
+ * Walk through every axis and non-auto detail in the terminal
+ * @param {Object} rl - Prompt from createPrompt
+ * @param {Object} config - Loaded config
+ * @param {Object} [initial] - Starting values (Enter keeps them)
+ * @returns {Promise<Object>} Axis and detail values
+ */
+async function askFields(rl, config, initial = {}) {
+  const values = {}
+
+  for (const [key, axis] of Object.entries(config.axes)) {
+    const current = initial[key] ?? axis.default
+    console.log(`\n${axis.label}${axis.description ? ` — ${axis.description}` : ''}`)
+    axis.stops.forEach((stop, i) => {
+      console.log(`  ${i + 1}) ${stop.label}${stop.value === current ? ' (current)' : ''}`)
+    })
+    const index = await askChoice(rl, 'Choice (Enter to keep current): ', axis.stops.length)
+    values[key] = index === null ? current : axis.stops[index].value
+  }
+
+  for (const [key, field] of Object.entries(config.details)) {
+    if (field.auto) continue
+    const current = initial[key]
+    console.log(`\n${field.label}${field.description ? ` — ${field.description}` : ''}`)
+
+    if (field.type === 'enum') {
+      field.values.forEach((v, i) => {
+        console.log(`  ${i + 1}) ${v.label}${v.desc ? ` — ${v.desc}` : ''}${v.value === current ? ' (current)' : ''}`)
+      })
+      const index = await askChoice(rl, 'Choice (Enter to keep current): ', field.values.length)
+      const value = index === null ? current : field.values[index].value
+      if (value) values[key] = value
+    } else if (field.type === 'flags') {
+      const selected = new Set(toList(current))
+      for (;;) {
+        field.values.forEach((v, i) => {
+          console.log(`  [${selected.has(v.value) ? 'x' : ' '}] ${i + 1}) ${v.label}${v.desc ? ` — ${v.desc}` : ''}`)
+        })
+        const input = (await rl.ask('Toggle numbers (e.g. 1,3), Enter when done: ')).trim()
+        if (!input) break
+        for (const part of input.split(/[\s,]+/)) {
+          const v = field.values[Number(part) - 1]
+          if (!v) console.log(`  Ignoring ${part}: enter numbers from 1 to ${field.values.length}`)
+          else if (selected.has(v.value)) selected.delete(v.value)
+          else selected.add(v.value)
+        }
+      }
+      const chosen = field.values.map((v) => v.value).filter((v) => selected.has(v))
+      if (chosen.length) values[key] = chosen
+    } else {
+      const hint = current ? ` [${current}]` : field.placeholder ? ` (e.g. ${field.placeholder})` : ''
+      const input = (await rl.ask(`Value${hint}, Enter to ${current ? 'keep' : 'skip'}: `)).trim()
+      const value = input || current
+      if (value) values[key] = value
+    }
+  }
+
+  return values
+}
+
+/**
+ * Read axis and detail values from `new` flags, e.g. --stakes 4 --review full,tests
+ * @param {Object} flags - From parseArgs
+ * @param {Object} config - Loaded config
+ * @returns {Object|null} Values, or null when no field flag was given
+ * @throws {Error} If an axis flag is not an integer
+ */
+function fieldsFromFlags(flags, config) {
+  const values = {}
+  let given = false
+
+  for (const [key, axis] of Object.entries(config.axes)) {
+    const raw = flags[key]
+    if (raw === undefined) {
+      values[key] = axis.default
+      continue
+    }
+    given = true
+    if (!/^-?\d+$/.test(String(raw).trim())) {
+      throw new Error(`--${key}: expected an integer, got ${JSON.stringify(String(raw))}`)
+    }
+    values[key] = parseInt(raw, 10)
+  }
+  for (const [key, field] of Object.entries(config.details)) {
+    if (flags[key] === undefined || field.auto) continue
+    given = true
+    values[key] = field.type === 'flags' ? String(flags[key]).split(',').filter(Boolean) : String(flags[key])
+  }
+
+  return given ? values : null
+}
+
+/**
+ * Encode new statement data and print it with its quadrant, URL and badge
+ * @param {Object} data - Axis and detail values
+ * @param {Object} config - Loaded config
+ */
+async function printNewStatement(data, config) {
+  const encoded = await encodeAsync(canonicalize(data, config), config)
+  const q = getStatementQuadrant(data, config)
+  const { text, color } = getBadge(decode(encoded, config), config)
+  const baseUrl = statementBaseUrl(config)
+
+  console.log(`\nQuadrant:  ${colorize(`● ${q.label}`, q.color)} — ${q.description}`)
+  console.log(`Statement: ${encoded}`)
+  console.log(`URL:       ${baseUrl}/#${encoded}`)
+  console.log(`Markdown:  ${badgeMarkdown(encoded, text, color, baseUrl, getBadgeServiceUrl(config))}`)
+}
+
+const MAX_SCAN_BYTES = 1024 * 1024
+
+/**
+ * Decode and check one statement found in a file
+ * @param {Object} found - Match from extractStatements
+ * @param {string} file - Where it was found (path or "-" for stdin)
+ * @param {Object} config - Local config
+ * @returns {Promise<Object>} Entry with quadrant, axes and validation status;
+ *   `data` is migrated to the current format version when needed
+ */
+async function inspectStatement(found, file, config) {
+  const originConfig = await resolveOriginConfig(decode(found.statement)?._o, config)
+  const entry = { file, line: found.line, statement: found.statement }
+  let data
+  try {
+    data = await decodeAsync(found.statement, originConfig)
+  } catch (e) {
+    return { ...entry, data: null, status: 'undecodable', issues: [{ severity: 'error', key: null, message: e.message }] }
+  }
+
+  if (!data) return { ...entry, data: null, status: 'undecodable', issues: [] }
+
+  const current = migrateToCurrent(data, originConfig)
+  const legacy = current !== data
+  const { valid, issues } = validateStatement(data, originConfig)
+  const q = getStatementQuadrant(current, originConfig)
+
+  return {
+    ...entry,
+    data: current,
+    quadrant: q?.key ?? null,
+    quadrantLabel: q?.label ?? null,
+    stakes: current.stakes ?? null,
+    autonomy: current.autonomy ?? null,
+    status: legacy ? 'legacy' : valid ? 'valid' : 'invalid',
+    issues,
+  }
+}
+
+/**
+ * Find and check every statement in a piece of text
+ * @param {string} text - File contents
+ * @param {string} file - Where the text came from
+ * @param {Object} config - Local config
+ * @returns {Promise<Array<Object>>} Entries, see inspectStatement
+ */
+async function inspectText(text, file, config) {
+  const entries = []
+  for (const found of extractStatements(text)) {
+    entries.push(await inspectStatement(found, file, config))
+  }
+  return entries
+}
+
+/**
+ * Find and decode every statement in a directory tree, honouring .gitignore
+ * @param {string} dir - Directory to scan
+ * @param {Object} config - Local config
+ * @returns {Promise<Array<Object>>} One entry per statement found
+ */
+async function scanStatements(dir, config) {
+  const root = resolve(dir)
+  const entries = []
+
+  for (const file of walkFiles(root, gitignoreFilter(root))) {
+    const path = join(root, file)
+    if (statSync(path).size > MAX_SCAN_BYTES) continue
+    const buffer = readFileSync(path)
+    if (buffer.subarray(0, 8000).includes(0)) continue
+    entries.push(...(await inspectText(buffer.toString('utf8'), file, config)))
+  }
+
+  return entries
+}
+
 function printHelp() {
   console.log(`
 Coauthored CLI
 
 Usage:
   node cli.js encode <json-file>     Encode JSON data to statement
+    --compact                        Pack config-defined values into a short v3 token
+    --canonical                      Config key order, sorted flags, no empty values
+  node cli.js new                    Create a statement step by step (axes, then details)
+    --interactive                    Start with the config's questionnaire
+    --<field> <value>                Skip the prompts, e.g. --stakes 4 --review full,tests
   node cli.js decode <statement>     Decode statement to JSON
-  node cli.js validate [config]      Validate config file (default: coauthored.json)
+  node cli.js check <statement>      Validate statement against config (exit 1 on errors)
+  node cli.js lint <statement>       Check statement against config policies (exit 1 on errors)
+  node cli.js validate [config]      Validate config file (default: nearest coauthored.json)
+    --print-resolved                 Print the config after resolving "extends"
   node cli.js badge <statement>      Generate badge URL
+    --svg                            Print a self-contained SVG badge instead
+    --style <style>                  flat (default), flat-square, for-the-badge
   node cli.js markdown <statement>   Generate markdown badge
+  node cli.js migrate <statement>    Upgrade a legacy statement to the current format
+  node cli.js diff <a> <b>           Show what changed between two statements
+    --json                           Print the comparison as JSON
+  node cli.js keygen                 Create an Ed25519 signing key (coauthored.key.json)
+    --out <file>                     Private key file to write
+    --kid <id>                       Key id (default: public key fingerprint)
+  node cli.js sign <statement>       Sign a statement
+    --key <file>                     Private key file from keygen
+  node cli.js verify <statement>     Verify a signature (exit 1 unless valid)
+    --pubkey <key-or-file>           Public key (default: config trustedKeys)
+  node cli.js manifest validate      Check every rule in the ${MANIFEST_FILE} manifest
+  node cli.js manifest which <path>  Show which statement applies to a file
+  node cli.js manifest report        Summarise manifest coverage of the repo
+  node cli.js scan [dir]             Find and check statements in files (honours .gitignore)
+    --json                           Print results as JSON
+  node cli.js report [file|dir|-]... Summarise statements as a Markdown report
+    --html                           Standalone HTML instead of Markdown
+    --out <file>                     Write to a file instead of stdout
+  node cli.js trailer <statement>    Print a ${TRAILER_KEY}: commit trailer (statement or JSON file)
+  node cli.js log [rev-range]        Summarise ${TRAILER_KEY} trailers in git history
+    --by month|author|path           Group commits (default: month)
+    --json                           Print results as JSON
+    -- <path>...                     Only commits touching these paths
+  node cli.js hook install [stmt]    Install a ${HOOK_NAME} hook that adds the trailer
+  node cli.js hook uninstall         Remove it (other hook content is kept)
 
 Examples:
   echo '{"stakes":4,"autonomy":3,"scope":"pr"}' > data.json && node cli.js encode data.json
+  node cli.js new --stakes 4 --autonomy 2 --review full,tests --scope pr
   node cli.js decode 'v:2;o:coauthored.dev;stakes:4;autonomy:3'
+  node cli.js check 'v:2;o:coauthored.dev;stakes:4;autonomy:3;review:full,tests'
   node cli.js markdown 'v:2;o:coauthored.dev;stakes:4;autonomy:3;scope:pr'
+  node cli.js badge 'v:2;o:coauthored.dev;stakes:1;autonomy:2' --svg > badge.svg
+  node cli.js migrate 'v:1;o:co;scope:pr;intent:proto;ai:doc,code'
+  node cli.js diff 'v:2;o:coauthored.dev;stakes:4;autonomy:2' 'v:2;o:coauthored.dev;stakes:4;autonomy:4'
+  node cli.js sign 'v:2;o:coauthored.dev;stakes:4;autonomy:3' --key coauthored.key.json
+  node cli.js manifest which src/legacy/parser.js
 `)
 }
 
 const [, , command, ...args] = process.argv
 
 try {
-  const config = loadConfigSync()
+  const config = loadConfigSync(CONFIG_PATH)
 
   switch (command) {
     case 'encode': {
-      const file = args[0]
+      const { positional, flags } = parseArgs(args)
+      const file = positional[0]
       if (!file) {
-        console.error('Usage: node cli.js encode <json-file>')
+        console.error('Usage: node cli.js encode <json-file> [--compact] [--canonical]')
         process.exit(1)
       }
-      const data = JSON.parse(readFileSync(file, 'utf8'))
-      console.log(encode(data, config))
+      const json = JSON.parse(readFileSync(file, 'utf8'))
+      const data = flags.canonical ? canonicalize(json, config) : json
+      console.log(await encodeAsync(data, config, { compact: Boolean(flags.compact) }))
+      break
+    }
+
+    case 'new': {
+      const fieldKeys = [...Object.keys(config.axes), ...Object.keys(config.details)]
+      const { positional, flags } = parseArgs(args, fieldKeys, ['interactive'])
+      if (positional.length) throw new Error(`Unexpected argument ${positional[0]}`)
+      let values = fieldsFromFlags(flags, config)
+      if (values && flags.interactive) {
+        throw new Error('--interactive cannot be combined with field flags')
+      }
+
+      if (!values) {
+        const rl = createPrompt()
+        try {
+          const initial = flags.interactive ? await askQuestionnaire(rl, config) : {}
+          values = await askFields(rl, config, initial)
+        } finally {
+          rl.close()
+        }
+      }
+
+      const data = { ...values, ...autoDetails(config) }
+      const { valid, issues } = validateStatement({ _v: config.meta.formatVersion, _o: config.meta.origin, ...data }, config)
+      for (const issue of issues) {
+        console.error(`  ${issue.severity.padEnd(7)} ${issue.key ? `${issue.key}: ` : ''}${issue.message}`)
+      }
+      if (!valid) {
+        console.error('Statement invalid')
+        process.exit(1)
+      }
+      await printNewStatement(data, config)
       break
     }
 
@@ -62,19 +841,72 @@ try {
         console.error('Usage: node cli.js decode <statement>')
         process.exit(1)
       }
-      const data = decode(statement)
-      if (data && data._v === 2 && data.stakes && data.autonomy) {
-        const q = getQuadrant(data.stakes, data.autonomy, config)
+      const { problems } = decodeStrict(statement)
+      const originConfig = await resolveOriginConfig(decode(statement)?._o, config)
+      const data = await decodeAsync(statement, originConfig)
+      for (const p of problems) {
+        console.error(`Warning: segment ${p.segment} (offset ${p.offset}): ${p.message}`)
+      }
+      if (data && data._v === 2 && data.stakes !== undefined && data.autonomy !== undefined) {
+        const q = getStatementQuadrant(data, originConfig)
         if (q) data._quadrant = q.label
+        const score = getScore(data, originConfig)
+        if (score !== null) data._score = score
       }
       console.log(JSON.stringify(data, null, 2))
       break
     }
 
+    case 'check': {
+      const statement = args[0]
+      if (!statement) {
+        console.error('Usage: node cli.js check <statement>')
+        process.exit(1)
+      }
+      const { valid, issues } = validateStatement(await decodeAsync(parseUrl(statement), config), config)
+      for (const issue of issues) {
+        const where = issue.key ? `${issue.key}: ` : ''
+        console.error(`  ${issue.severity.padEnd(7)} ${where}${issue.message}`)
+      }
+      if (!valid) {
+        console.error('Statement invalid')
+        process.exit(1)
+      }
+      console.log('Statement valid')
+      break
+    }
+
+    case 'lint': {
+      const statement = args[0]
+      if (!statement) {
+        console.error('Usage: node cli.js lint <statement>')
+        process.exit(1)
+      }
+      const encoded = parseUrl(statement)
+      const originConfig = await resolveOriginConfig(decode(encoded)?._o, config)
+      const data = await decodeAsync(encoded, originConfig)
+      if (!data) throw new Error('Could not decode statement')
+
+      const violations = getViolations(migrateToCurrent(data, originConfig), originConfig)
+      for (const v of violations) {
+        console.error(`  ${v.severity.padEnd(5)} ${v.key}: ${v.message}`)
+      }
+      if (violations.some((v) => v.severity === 'error')) {
+        console.error('Policy check failed')
+        process.exit(1)
+      }
+      console.log(violations.length ? 'Policy check passed with warnings' : 'Policy check passed')
+      break
+    }
+
     case 'validate': {
-      const configPath = args[0] || './coauthored.json'
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'))
-      validateConfig(cfg)
+      const { positional, flags } = parseArgs(args)
+      const configPath = positional[0] || CONFIG_PATH
+      const cfg = loadConfigSync(configPath)
+      if (flags['print-resolved']) {
+        console.log(JSON.stringify(cfg, null, 2))
+        break
+      }
       console.log(`Config valid: ${configPath}`)
       console.log(`  Origin: ${cfg.meta.origin}`)
       console.log(`  Schema version: ${cfg.meta.schemaVersion}`)
@@ -85,19 +917,17 @@ try {
     }
 
     case 'badge': {
-      const statement = args[0]
+      const { positional, flags } = parseArgs(args, ['style'])
+      const statement = positional[0]
       if (!statement) {
-        console.error('Usage: node cli.js badge <statement>')
+        console.error('Usage: node cli.js badge <statement> [--svg] [--style <style>]')
         process.exit(1)
       }
-      const data = decode(statement)
-      let text = 'AI Coauthored'
-      let color = '58a6ff'
-      if (data && data._v === 2) {
-        const q = getQuadrant(data.stakes || 3, data.autonomy || 3, config)
-        if (q) { text = q.label; color = q.color }
-      }
-      console.log(badgeUrl(text, color, getBadgeServiceUrl(config)))
+      const originConfig = await resolveOriginConfig(decode(statement)?._o, config)
+      const { text, color } = getBadge(decode(statement, originConfig), originConfig)
+      const style = flags.style || 'flat'
+      if (flags.svg) console.log(badgeSvg(text, color, style))
+      else console.log(badgeUrl(text, color, getBadgeServiceUrl(originConfig), style))
       break
     }
 
@@ -107,20 +937,261 @@ try {
         console.error('Usage: node cli.js markdown <statement>')
         process.exit(1)
       }
-      const data = decode(statement)
-      let text = 'AI Coauthored'
-      let color = '58a6ff'
-      if (data && data._v === 2) {
-        const q = getQuadrant(data.stakes || 3, data.autonomy || 3, config)
-        if (q) { text = q.label; color = q.color }
+      const originConfig = await resolveOriginConfig(decode(statement)?._o, config)
+      const { text, color } = getBadge(decode(statement, originConfig), originConfig)
+      const baseUrl = statementBaseUrl(originConfig)
+      console.log(badgeMarkdown(statement, text, color, baseUrl, getBadgeServiceUrl(originConfig)))
+      break
+    }
+
+    case 'migrate': {
+      const statement = args[0]
+      if (!statement) {
+        console.error('Usage: node cli.js migrate <statement>')
+        process.exit(1)
+      }
+      const data = await decodeAsync(parseUrl(statement), config)
+      if (!data) throw new Error('Could not decode statement')
+      console.log(await encodeAsync(migrate(data, data._v, config), config))
+      break
+    }
+
+    case 'diff': {
+      const { positional, flags } = parseArgs(args)
+      if (positional.length !== 2) {
+        console.error('Usage: node cli.js diff <statement> <statement> [--json]')
+        process.exit(1)
+      }
+      const [before, after] = positional.map((s) => parseUrl(s))
+      const originConfig = await resolveOriginConfig(decode(before)?._o, config)
+      const a = await decodeAsync(before, originConfig)
+      const b = await decodeAsync(after, originConfig)
+      if (!a?._v || !b?._v) throw new Error(`Could not decode ${a?._v ? 'second' : 'first'} statement`)
+
+      const diff = diffStatements(a, b, originConfig)
+      if (flags.json) console.log(JSON.stringify(diff, null, 2))
+      else printDiff(diff, originConfig)
+      break
+    }
+
+    case 'keygen': {
+      const { flags } = parseArgs(args, ['out', 'kid'])
+      const out = flags.out || 'coauthored.key.json'
+      if (existsSync(out)) throw new Error(`${out} already exists`)
+      const { kid, publicKey, privateKey } = await generateKeyPair()
+      const keyId = flags.kid || kid
+      writeFileSync(out, JSON.stringify({ ...privateKey, kid: keyId }, null, 2) + '\n', { mode: 0o600 })
+      console.log(`Private key written to ${out} (keep it secret)`)
+      console.log(`  Key id: ${keyId}`)
+      console.log(`  Public key: ${publicKey}`)
+      console.log('\nTrust it in coauthored.json:')
+      console.log(JSON.stringify({ trustedKeys: { [keyId]: publicKey } }, null, 2))
+      break
+    }
+
+    case 'sign': {
+      const { positional, flags } = parseArgs(args, ['key'])
+      const statement = positional[0]
+      if (!statement || !flags.key) {
+        console.error('Usage: node cli.js sign <statement> --key <file>')
+        process.exit(1)
+      }
+      const privateKey = JSON.parse(readFileSync(flags.key, 'utf8'))
+      const kid = privateKey.kid || (await keyFingerprint(privateKey.x))
+      const encoded = parseUrl(statement)
+      const originConfig = await resolveOriginConfig(decode(encoded)?._o, config)
+      console.log(await signStatement(encoded, privateKey, kid, originConfig))
+      break
+    }
+
+    case 'verify': {
+      const { positional, flags } = parseArgs(args, ['pubkey'])
+      const statement = parseUrl(positional[0] || '')
+      if (!statement) {
+        console.error('Usage: node cli.js verify <statement> [--pubkey <key-or-file>]')
+        process.exit(1)
+      }
+      const kid = getSignature(statement)?.kid
+      let status
+      if (!getSignature(statement)) {
+        status = 'unsigned'
+      } else {
+        const originConfig = await resolveOriginConfig(decode(statement)?._o, config)
+        if (flags.pubkey) {
+          const valid = await verifyStatement(statement, readPublicKey(flags.pubkey), originConfig)
+          status = valid ? 'valid' : 'invalid'
+        } else {
+          status = (await checkSignature(statement, originConfig)).status
+        }
+      }
+      const messages = {
+        valid: `Signature valid (key ${kid})`,
+        invalid: `Signature invalid (key ${kid})`,
+        untrusted: `Signed by untrusted key ${kid}`,
+        unsigned: 'Statement is not signed',
+      }
+      if (status !== 'valid') {
+        console.error(messages[status])
+        process.exit(1)
+      }
+      console.log(messages[status])
+      break
+    }
+
+    case 'scan': {
+      const { positional, flags } = parseArgs(args)
+      const entries = await scanStatements(positional[0] || '.', config)
+
+      if (flags.json) {
+        console.log(JSON.stringify(entries.map(({ data, ...entry }) => entry), null, 2))
+        break
+      }
+      if (!entries.length) {
+        console.log('No statements found')
+        break
+      }
+
+      const rows = entries.map((e) => [
+        `${e.file}:${e.line}`,
+        e.quadrantLabel || '-',
+        String(e.stakes ?? '-'),
+        String(e.autonomy ?? '-'),
+        e.status === 'invalid'
+          ? `invalid (${e.issues.filter((i) => i.severity === 'error').length} errors)`
+          : e.status,
+      ])
+      const header = ['LOCATION', 'QUADRANT', 'STAKES', 'AUTONOMY', 'STATUS']
+      const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)))
+      for (const row of [header, ...rows]) {
+        console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+      }
+      console.log(`\n${entries.length} statements`)
+      break
+    }
+
+    case 'report': {
+      const { positional, flags } = parseArgs(args, ['out'])
+      const sources = positional.length ? positional : ['.']
+      const entries = []
+
+      for (const source of sources) {
+        if (source === '-') {
+          entries.push(...(await inspectText(readFileSync(0, 'utf8'), '-', config)))
+        } else if (statSync(source).isDirectory()) {
+          entries.push(...(await scanStatements(source, config)))
+        } else {
+          entries.push(...(await inspectText(readFileSync(source, 'utf8'), source, config)))
+        }
+      }
+
+      const skipped = entries.filter((e) => !e.data).length
+      if (skipped) console.error(`Warning: skipped ${skipped} undecodable statements`)
+      // Invalid values (e.g. stakes:9) have no heatmap cell, so they would not add up
+      const invalid = entries.filter((e) => e.status === 'invalid')
+      if (invalid.length) {
+        console.error(`Warning: skipped ${invalid.length} invalid statements (see \`scan\`):`)
+        for (const e of invalid) console.error(`  ${e.file}:${e.line}`)
+      }
+      const counted = entries.filter((e) => e.data && e.status !== 'invalid')
+
+      // The same statement in several places (or encoded differently) counts once
+      const byContent = new Map()
+      for (const entry of counted) {
+        const key = contentKey(entry.data, config)
+        if (!byContent.has(key)) byContent.set(key, entry)
+      }
+      const unique = [...byContent.values()]
+      const duplicates = counted.length - unique.length
+      if (duplicates) console.error(`Counted ${duplicates} duplicate statements once`)
+
+      const summary = summarizeStatements(unique, config)
+      const output = flags.html ? renderHtmlReport(summary, config) : renderMarkdownReport(summary, config)
+      if (flags.out) {
+        writeFileSync(flags.out, output)
+        console.error(`Wrote ${flags.out}`)
+      } else {
+        process.stdout.write(output)
+      }
+      break
+    }
+
+    case 'trailer': {
+      const input = args[0]
+      if (!input) {
+        console.error('Usage: node cli.js trailer <statement|json-file>')
+        process.exit(1)
+      }
+      const statement = input.endsWith('.json') && existsSync(input)
+        ? await encodeAsync(JSON.parse(readFileSync(input, 'utf8')), config)
+        : parseUrl(input)
+      const errors = await statementErrors(statement, config)
+      if (errors.length) {
+        for (const error of errors) console.error(`  error   ${error.key ? `${error.key}: ` : ''}${error.message}`)
+        console.error('Statement invalid')
+        process.exit(1)
+      }
+      console.log(formatTrailer(statement))
+      try {
+        writeState({ lastStatement: statement })
+      } catch {
+        // Not inside a git repository: nothing to remember
+      }
+      break
+    }
+
+    case 'log': {
+      const { positional, flags, rest } = parseArgs(args, ['by'])
+      const by = flags.by || 'month'
+      if (!['month', 'author', 'path'].includes(by)) {
+        console.error('Usage: node cli.js log [rev-range] [--by month|author|path] [--json] [-- <path>...]')
+        process.exit(1)
+      }
+
+      const commits = readGitLog(positional[0], { paths: rest })
+      const items = []
+      for (const commit of commits) {
+        const statement = parseTrailer(commit.message)
+        if (!statement) continue
+        const data = await decodeAsync(statement, config).catch(() => null)
+        if (data) items.push({ commit, data })
+        else console.error(`Warning: ${commit.hash.slice(0, 7)}: undecodable ${TRAILER_KEY} trailer`)
+      }
+
+      const groups = summarizeHistory(items, config, by)
+      if (flags.json) {
+        console.log(JSON.stringify({ commits: commits.length, withTrailer: items.length, groups }, null, 2))
+        break
+      }
+
+      console.log(`${items.length} of ${commits.length} commits have a ${TRAILER_KEY} trailer`)
+      if (!groups.length) break
+
+      const rows = groups.map((g) => [
+        g.key,
+        String(g.commits),
+        String(g.stakes),
+        String(g.autonomy),
+        Object.entries(g.quadrants)
+          .map(([key, count]) => `${config.quadrants[key].label} ${count}`)
+          .join(', '),
+      ])
+      const header = [by.toUpperCase(), 'COMMITS', 'STAKES', 'AUTONOMY', 'QUADRANTS']
+      const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)))
+      console.log('')
+      for (const row of [header, ...rows]) {
+        console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
       }
-      const baseUrl = config.meta?.origin
-        ? `https://${config.meta.origin}`
-        : 'https://coauthored.dev'
-      console.log(badgeMarkdown(statement, text, color, baseUrl, getBadgeServiceUrl(config)))
       break
     }
 
+    case 'hook':
+      await runHook(args[0], args.slice(1), config)
+      break
+
+    case 'manifest':
+      await runManifest(args[0], args.slice(1), config)
+      break
+
     case 'help':
     case '--help':
     case '-h':
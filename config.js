@@ -2,10 +2,20 @@
  * Config Loader - loads and validates coauthored config
  */
 
+import { getSignature, verifyStatement, SIGNATURE_KEYS } from './core.js'
+import { validatePolicies } from './policy.js'
+import { validateQuestionnaire } from './questionnaire.js'
+
 const REQUIRED_KEYS = ['meta', 'axes', 'quadrants', 'details', 'ui']
 const REQUIRED_META = ['formatVersion', 'schemaVersion', 'origin']
 const VALID_DETAIL_TYPES = ['enum', 'flags', 'text', 'date']
 
+/**
+ * Key prefix reserved for extension fields: never defined by a config, never
+ * warned about, and carried through edits and migrations unchanged
+ */
+export const EXTENSION_PREFIX = 'x-'
+
 /**
  * Validate config structure
  * @param {Object} config
@@ -20,6 +30,17 @@ export function validateConfig(config) {
     if (!config.meta[key]) throw new Error(`Missing required meta key: ${key}`)
   }
 
+  const { compactSchema } = config.meta
+  if (compactSchema !== undefined && !(Number.isInteger(compactSchema) && compactSchema >= 1 && compactSchema <= 255)) {
+    throw new Error('meta.compactSchema must be an integer from 1 to 255')
+  }
+
+  for (const key of [...Object.keys(config.axes), ...Object.keys(config.details)]) {
+    if (key.startsWith(EXTENSION_PREFIX)) {
+      throw new Error(`Field ${key} uses the reserved ${EXTENSION_PREFIX} extension prefix`)
+    }
+  }
+
   for (const [key, axis] of Object.entries(config.axes)) {
     if (typeof axis.min !== 'number' || typeof axis.max !== 'number') {
       throw new Error(`Axis ${key} requires numeric min and max`)
@@ -47,28 +68,287 @@ export function validateConfig(config) {
     }
   }
 
+  for (const [kid, publicKey] of Object.entries(config.trustedKeys || {})) {
+    if (typeof publicKey !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(publicKey)) {
+      throw new Error(`Trusted key ${kid} must be a base64url Ed25519 public key`)
+    }
+  }
+
+  for (const [origin, location] of Object.entries(config.origins || {})) {
+    if (typeof location !== 'string' || !location) {
+      throw new Error(`Origin ${origin} requires a config path or URL`)
+    }
+  }
+
+  for (const [version, table] of Object.entries(config.migrations || {})) {
+    for (const axisKey of Object.keys(table.axes || {})) {
+      if (!config.axes[axisKey]) {
+        throw new Error(`Migration from v${version} targets unknown axis: ${axisKey}`)
+      }
+    }
+  }
+
+  if (config.scoring) {
+    for (const [axisKey, weight] of Object.entries(config.scoring.axes || {})) {
+      if (!config.axes[axisKey]) throw new Error(`Scoring refers to unknown axis: ${axisKey}`)
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`Scoring weight for ${axisKey} must be a non-negative number`)
+      }
+    }
+    for (const [key, adjustments] of Object.entries(config.scoring.details || {})) {
+      if (!config.details[key]) throw new Error(`Scoring refers to unknown detail: ${key}`)
+      for (const [value, points] of Object.entries(adjustments)) {
+        if (typeof points !== 'number') throw new Error(`Scoring for ${key}:${value} must be a number`)
+      }
+    }
+  }
+
+  validatePolicies(config)
+  validateQuestionnaire(config)
+
   return true
 }
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Validate a decoded statement against the config schema
+ * @param {Object} data - Decoded statement (from decode)
+ * @param {Object} config - Loaded config
+ * @returns {{ valid: boolean, issues: Array<{ severity: string, key: string, message: string }> }}
+ */
+export function validateStatement(data, config) {
+  const issues = []
+  const error = (key, message) => issues.push({ severity: 'error', key, message })
+  const warn = (key, message) => issues.push({ severity: 'warning', key, message })
+
+  if (!data || typeof data !== 'object') {
+    error('', 'Statement could not be decoded')
+    return { valid: false, issues }
+  }
+
+  if (data._v === undefined || Number.isNaN(data._v)) {
+    error('v', 'Missing required field v (format version)')
+  } else if (data._v !== config.meta.formatVersion) {
+    error('v', `Unsupported version ${data._v} (expected ${config.meta.formatVersion})`)
+  }
+  if (!data._o) error('o', 'Missing required field o (origin)')
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === '_v' || key === '_o' || SIGNATURE_KEYS.includes(key)) continue
+
+    if (config.axes[key]) {
+      validateAxisValue(key, value, config.axes[key], error, warn)
+    } else if (config.details[key]) {
+      validateDetailValue(key, value, config.details[key], error)
+    } else if (!key.startsWith(EXTENSION_PREFIX)) {
+      warn(key, `Unknown field ${key}`)
+    }
+  }
+
+  return { valid: !issues.some((i) => i.severity === 'error'), issues }
+}
+
+function isCalendarDate(str) {
+  const date = new Date(`${str}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(str)
+}
+
+function validateAxisValue(key, value, axis, error, warn) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    error(key, `Expected an integer, got ${JSON.stringify(value)}`)
+    return
+  }
+  if (value < axis.min || value > axis.max) {
+    error(key, `Value ${value} is outside range ${axis.min}-${axis.max}`)
+    return
+  }
+  if (!axis.stops.some((s) => s.value === value)) {
+    warn(key, `Value ${value} is not a defined stop`)
+  }
+}
+
+function validateDetailValue(key, value, field, error) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    error(key, `Expected a value, got nested fields ${Object.keys(value).join(', ')}`)
+    return
+  }
+
+  const allowed = field.values?.map((v) => v.value) || []
+
+  if (field.type === 'enum') {
+    if (Array.isArray(value)) {
+      error(key, 'Expected a single value, got a list')
+    } else if (!allowed.includes(String(value))) {
+      error(key, `Invalid value ${JSON.stringify(value)} (expected one of ${allowed.join(', ')})`)
+    }
+  } else if (field.type === 'flags') {
+    const flags = Array.isArray(value) ? value : [value]
+    for (const flag of flags) {
+      if (!allowed.includes(String(flag))) {
+        error(key, `Invalid value ${JSON.stringify(flag)} (expected any of ${allowed.join(', ')})`)
+      }
+    }
+  } else if (field.type === 'text') {
+    if (Array.isArray(value)) {
+      error(key, 'Expected text, got a list (encode commas with the ~ prefix)')
+    }
+  } else if (field.type === 'date') {
+    const str = String(value)
+    if (!DATE_PATTERN.test(str) || !isCalendarDate(str)) {
+      error(key, `Invalid date ${JSON.stringify(value)} (expected YYYY-MM-DD)`)
+    }
+  }
+}
+
+/**
+ * Deep-merge an overriding config onto a base config
+ *
+ * Objects merge key by key (base order first, new keys appended), arrays and
+ * scalars replace, and `null` removes the inherited key. `extends` is dropped.
+ * @param {Object} base - Inherited config
+ * @param {Object} override - Config that extends base
+ * @returns {Object} Merged config
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    if (key === 'extends') continue
+    if (value === null) {
+      delete result[key]
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value)
+    } else {
+      result[key] = value
+    }
+  }
+  delete result.extends
+  return result
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * List the bases a config extends, resolved against its own location
+ * @param {Object} config - Raw (unmerged) config
+ * @param {Function} resolve - (relativePath) => absolute path or URL
+ * @returns {string[]} Base locations, lowest precedence first
+ */
+export function getExtends(config, resolve) {
+  if (!config.extends) return []
+  const bases = Array.isArray(config.extends) ? config.extends : [config.extends]
+  return bases.map((base) => resolve(base))
+}
+
+/**
+ * Throw if a config location is already in the extends chain
+ * @param {string} location - Config path or URL about to be loaded
+ * @param {string[]} chain - Locations currently being resolved
+ */
+export function assertNoCycle(location, chain) {
+  if (chain.includes(location)) {
+    throw new Error(`Config extends cycle: ${[...chain, location].join(' -> ')}`)
+  }
+}
+
+/**
+ * Fetch a config and everything it extends, merged but not validated
+ * @param {string} url - Absolute config URL
+ * @param {string[]} chain - URLs currently being resolved (cycle detection)
+ * @returns {Promise<Object>} Merged config
+ */
+async function fetchConfigChain(url, chain = []) {
+  assertNoCycle(url, chain)
+
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Failed to load config ${url}: ${response.status}`)
+  const config = await response.json()
+
+  let merged = {}
+  for (const base of getExtends(config, (rel) => new URL(rel, url).href)) {
+    merged = mergeConfig(merged, await fetchConfigChain(base, [...chain, url]))
+  }
+  return mergeConfig(merged, config)
+}
+
 /**
- * Load config from URL and validate
+ * Load config from URL, resolve its extends chain and validate the result
  * @param {string} url - Config file URL
  * @returns {Promise<Object>} Validated config
  */
 export async function loadConfig(url = './coauthored.json') {
-  const response = await fetch(url)
-  if (!response.ok) throw new Error(`Failed to load config: ${response.status}`)
-
-  const config = await response.json()
+  const config = await fetchConfigChain(new URL(url, globalThis.location?.href).href)
   validateConfig(config)
 
   return config
 }
 
+/**
+ * Check a statement's signature against the config's trusted keys
+ * @param {string} encoded - Encoded statement
+ * @param {Object} config - Loaded config with optional `trustedKeys` ({ kid: publicKey })
+ * @returns {Promise<{ status: string, kid?: string }>} status is one of
+ *   unsigned, valid, invalid or untrusted (key id not in trustedKeys)
+ */
+export async function checkSignature(encoded, config) {
+  const signature = getSignature(encoded)
+  if (!signature) return { status: 'unsigned' }
+
+  const { kid } = signature
+  const publicKey = config.trustedKeys?.[kid]
+  if (!publicKey) return { status: 'untrusted', kid }
+
+  const valid = await verifyStatement(encoded, publicKey, config)
+  return { status: valid ? 'valid' : 'invalid', kid }
+}
+
+/**
+ * Look up where the config for a statement origin lives
+ * @param {string} origin - Statement origin (data._o)
+ * @param {Object} config - Local config with optional `origins` registry
+ * @returns {{ local: boolean, location: string|null }} location is null for unknown origins
+ */
+export function getOriginLocation(origin, config) {
+  if (!origin || origin === config.meta.origin) return { local: true, location: null }
+  return { local: false, location: config.origins?.[origin] || null }
+}
+
+/** @type {Map<string, Promise<Object>>} */
+const originConfigs = new Map()
+
+/**
+ * Load the config a statement's origin refers to, falling back to the local config
+ *
+ * Loaded configs are cached by location; failed loads are retried next time.
+ * @param {string} origin - Statement origin (data._o)
+ * @param {Object} config - Local config
+ * @param {Function} load - (location) => config or Promise of one; the CLI
+ *   passes a loader that also reads local files
+ * @returns {Promise<{ config: Object, known: boolean, error?: Error }>} known is
+ *   false when falling back; error is set when the origin's config failed to load
+ */
+export async function loadOriginConfig(origin, config, load = loadConfig) {
+  const { local, location } = getOriginLocation(origin, config)
+  if (local) return { config, known: true }
+  if (!location) return { config, known: false }
+
+  if (!originConfigs.has(location)) {
+    originConfigs.set(location, Promise.resolve().then(() => load(location)))
+  }
+  try {
+    return { config: await originConfigs.get(location), known: true }
+  } catch (error) {
+    originConfigs.delete(location)
+    return { config, known: false, error }
+  }
+}
+
 /**
  * Detect which quadrant a (stakes, autonomy) position falls into
- * @param {number} stakes - Stakes value (1-5)
- * @param {number} autonomy - Autonomy value (1-5)
+ * @param {number} stakes - Stakes value (within axes.stakes range)
+ * @param {number} autonomy - Autonomy value (within axes.autonomy range)
  * @param {Object} config - Loaded config
  * @returns {Object} { key, label, description, color }
  */
@@ -96,6 +376,181 @@ export function getQuadrant(stakes, autonomy, config) {
   return best
 }
 
+/**
+ * Detect the quadrant for a decoded statement, using axis defaults for missing values
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {Object} { key, label, description, color }
+ */
+export function getStatementQuadrant(data, config) {
+  const stakes = data?.stakes ?? config.axes.stakes.default
+  const autonomy = data?.autonomy ?? config.axes.autonomy.default
+  return getQuadrant(stakes, autonomy, config)
+}
+
+/**
+ * Compute the 0–100 residual-risk score for a decoded statement
+ *
+ * Driven by `config.scoring`: each axis in `axes` contributes its position
+ * within min–max, weighted, scaled to 0–100; then every detail value listed
+ * under `details` adds its points (negative for mitigations such as tests).
+ * Missing axes use their default.
+ * @param {Object} data - Decoded statement (current format version)
+ * @param {Object} config - Loaded config
+ * @returns {number|null} Score, or null when the config has no scoring block
+ */
+export function getScore(data, config) {
+  const scoring = config.scoring
+  if (!scoring) return null
+
+  let weighted = 0
+  let totalWeight = 0
+  for (const [axisKey, weight] of Object.entries(scoring.axes || {})) {
+    const axis = config.axes[axisKey]
+    const value = data?.[axisKey] ?? axis.default
+    weighted += (weight * (value - axis.min)) / (axis.max - axis.min)
+    totalWeight += weight
+  }
+
+  let score = totalWeight ? (100 * weighted) / totalWeight : 0
+  for (const [key, adjustments] of Object.entries(scoring.details || {})) {
+    for (const value of toList(data?.[key])) score += adjustments[value] ?? 0
+  }
+  return Math.round(Math.max(0, Math.min(100, score)))
+}
+
+/**
+ * Migrate a decoded statement from an older format version to the config's version
+ *
+ * Driven by `config.migrations[fromVersion]`:
+ * - `axes.<axis>.sources` maps old fields and values to axis values; the
+ *   highest matching value wins, else `default`
+ * - `details` maps old keys to new keys, either as a target key string or
+ *   `{ to, values }` to rename individual values. Values the target field
+ *   does not allow are dropped.
+ * @param {Object} data - Decoded statement (from decode)
+ * @param {number} fromVersion - Format version of data
+ * @param {Object} config - Loaded config
+ * @returns {Object} Statement data in the current format
+ * @throws {Error} If no migration is declared for fromVersion
+ */
+export function migrate(data, fromVersion, config) {
+  if (fromVersion === config.meta.formatVersion) return { ...data }
+
+  const table = config.migrations?.[fromVersion]
+  if (!table) {
+    throw new Error(`No migration from v${fromVersion} to v${config.meta.formatVersion}`)
+  }
+
+  const result = { _v: config.meta.formatVersion, _o: data._o }
+
+  for (const [axisKey, rule] of Object.entries(table.axes || {})) {
+    const axis = config.axes[axisKey]
+    let value = null
+    for (const [sourceKey, valueMap] of Object.entries(rule.sources || {})) {
+      for (const v of toList(data[sourceKey])) {
+        const mapped = valueMap[v]
+        if (typeof mapped === 'number' && (value === null || mapped > value)) value = mapped
+      }
+    }
+    value ??= rule.default ?? axis?.default
+    if (value !== undefined && value !== null) {
+      result[axisKey] = axis ? Math.max(axis.min, Math.min(axis.max, value)) : value
+    }
+  }
+
+  for (const [oldKey, target] of Object.entries(table.details || {})) {
+    if (data[oldKey] === undefined || data[oldKey] === '') continue
+    const { to, values = {} } = typeof target === 'string' ? { to: target } : target
+    const field = config.details[to]
+    if (!field) continue
+
+    const mapped = toList(data[oldKey]).map((v) => values[v] ?? v)
+
+    if (field.type === 'flags') {
+      const allowed = field.values.map((v) => v.value)
+      const merged = [...toList(result[to]), ...mapped].filter(
+        (v, i, all) => allowed.includes(v) && all.indexOf(v) === i
+      )
+      if (merged.length) result[to] = merged
+    } else if (field.type === 'enum') {
+      const allowed = field.values.map((v) => v.value)
+      if (allowed.includes(mapped[0])) result[to] = mapped[0]
+    } else {
+      result[to] = Array.isArray(data[oldKey]) ? mapped.join(', ') : data[oldKey]
+    }
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key.startsWith(EXTENSION_PREFIX)) result[key] = value
+  }
+
+  return result
+}
+
+/**
+ * Fields of a statement the config doesn't define: extension (`x-`) fields,
+ * fields from another schema version and nested keys such as `risk.deploy`
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {Object} Those fields, nested as decoded (no `_` metadata or signature)
+ */
+export function getExtraFields(data, config) {
+  const known = (key) =>
+    key.startsWith('_') || key in config.axes || key in config.details || SIGNATURE_KEYS.includes(key)
+  return Object.fromEntries(Object.entries(data || {}).filter(([key]) => !known(key)))
+}
+
+/**
+ * Migrate a decoded statement to the config's format version when the config
+ * declares a migration for it; anything else is returned as is
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {Object} Statement data, in the current format when possible
+ */
+export function migrateToCurrent(data, config) {
+  return data._v !== config.meta.formatVersion && config.migrations?.[data._v]
+    ? migrate(data, data._v, config)
+    : data
+}
+
+/**
+ * Normalise a decoded flags value (single string or list) to an array
+ * @param {*} value - Decoded value
+ * @returns {string[]}
+ */
+export function toList(value) {
+  if (value === undefined || value === null || value === '') return []
+  return Array.isArray(value) ? value.map(String) : [String(value)]
+}
+
+/**
+ * Resolve badge text and color for a decoded statement
+ *
+ * Text follows `ui.badge.text` (`{quadrant}`, `{score}`). Older statements
+ * use their migrated quadrant when the config declares a migration; anything
+ * else gets the generic badge.
+ * @param {Object|null} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {{ text: string, color: string }}
+ */
+export function getBadge(data, config) {
+  const current = data && migrateToCurrent(data, config)
+  if (current && current._v === config.meta.formatVersion) {
+    const q = getStatementQuadrant(current, config)
+    if (q) {
+      const score = getScore(current, config)
+      const template = config.ui.badge?.text || '{quadrant}'
+      const text = template
+        .replace('{quadrant}', q.label)
+        .replace('{score}', score ?? '')
+        .trim()
+      return { text, color: q.color }
+    }
+  }
+  return { text: 'AI Coauthored', color: '58a6ff' }
+}
+
 /**
  * Get human-readable label for an axis stop value
  * @param {string} axisKey - Axis key (e.g., 'stakes')
@@ -8,9 +8,12 @@
  * - `.` in keys means nesting: `risk.deploy` -> { risk: { deploy: ... } }
  * - Multiple values use commas: `ai:doc,code` -> { ai: ['doc', 'code'] }
  * - Text with special chars: `~` prefix = base64url encoded
+ * - Long text: `~~` prefix = deflate-raw compressed, then base64url encoded
+ *   (needs encodeAsync/decodeAsync, since CompressionStream is async)
  */
 
 const SAFE_VALUE = /^[a-zA-Z0-9_-]+$/
+const SUPPORTED_VERSIONS = [1, 2, 3]
 
 function b64Encode(str) {
   try {
@@ -28,10 +31,21 @@ function b64Decode(str) {
     const padded = str.replace(/-/g, '+').replace(/_/g, '/')
     return decodeURIComponent(escape(atob(padded)))
   } catch {
-    return ''
+    return null
   }
 }
 
+function bytesToB64(bytes) {
+  let binary = ''
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function b64ToBytes(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0))
+}
+
 function encodeValue(val) {
   if (val === null || val === undefined || val === '') return ''
   if (Array.isArray(val)) return val.map((v) => encodeValue(v)).join(',')
@@ -44,18 +58,26 @@ function encodeValue(val) {
 
 function decodeValue(str) {
   if (str === '') return ''
-  if (str.startsWith('~')) return b64Decode(str.slice(1))
+  // Compressed text needs decodeAsync; keep it as is rather than lose it
+  if (str.startsWith('~~')) return str
+  if (str.startsWith('~')) return b64Decode(str.slice(1)) ?? ''
   if (str.includes(',')) return str.split(',').map((s) => decodeValue(s))
   if (/^-?\d+$/.test(str)) return parseInt(str, 10)
   return str
 }
 
-function flatten(obj, prefix = '') {
+/**
+ * Flatten nested fields into dotted keys: { risk: { deploy: 1 } } -> [['risk.deploy', 1]]
+ * @param {Object} obj
+ * @param {string} prefix - Key prefix for nested calls
+ * @returns {Array<[string, *]>} Key/value pairs in object order
+ */
+export function flattenFields(obj, prefix = '') {
   const pairs = []
   for (const [key, value] of Object.entries(obj)) {
     const fullKey = prefix ? `${prefix}.${key}` : key
     if (value && typeof value === 'object' && !Array.isArray(value)) {
-      pairs.push(...flatten(value, fullKey))
+      pairs.push(...flattenFields(value, fullKey))
     } else {
       pairs.push([fullKey, value])
     }
@@ -77,34 +99,218 @@ function unflatten(pairs) {
   return result
 }
 
+/**
+ * Compact format (v3)
+ *
+ * `v:3;o:origin;p:<token>` packs config-defined values into bytes, in config
+ * order: one byte per axis (value - min + 1), one byte per enum (index + 1),
+ * a little-endian bitmask per flags field and two bytes per date (days since
+ * 1970 + 1). Zero means unset. The first byte is `meta.compactSchema`, so a
+ * token is only unpacked by a config with the same layout. Text, unknown
+ * keys and values the config doesn't list stay as readable segments.
+ */
+
+export const COMPACT_VERSION = 3
+const DAY_MS = 86400000
+
+function packCompact(data, config) {
+  const bytes = [config.meta.compactSchema ?? 1]
+  const rest = { ...data }
+
+  for (const [key, axis] of Object.entries(config.axes)) {
+    const offset = typeof data[key] === 'number' ? data[key] - axis.min + 1 : 0
+    const packable = Number.isInteger(offset) && offset >= 1 && offset <= 255
+    bytes.push(packable ? offset : 0)
+    if (packable) delete rest[key]
+  }
+
+  for (const [key, field] of Object.entries(config.details)) {
+    const value = data[key]
+    const isSet = value !== undefined && value !== ''
+
+    if (field.type === 'enum') {
+      const index = isSet ? field.values.findIndex((v) => v.value === value) : -1
+      bytes.push(index + 1)
+      if (index !== -1) delete rest[key]
+    } else if (field.type === 'flags') {
+      const flags = !isSet ? [] : Array.isArray(value) ? value : [value]
+      const indexes = flags.map((f) => field.values.findIndex((v) => v.value === f))
+      const packable = !indexes.includes(-1)
+      const mask = new Array(Math.ceil(field.values.length / 8)).fill(0)
+      if (packable) {
+        for (const i of indexes) mask[i >> 3] |= 1 << (i & 7)
+        delete rest[key]
+      }
+      bytes.push(...mask)
+    } else if (field.type === 'date') {
+      const time = isSet && /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN
+      const days = Number.isNaN(time) ? 0 : time / DAY_MS + 1
+      const packable = days >= 1 && days <= 0xffff
+      bytes.push(packable ? days >> 8 : 0, packable ? days & 0xff : 0)
+      if (packable) delete rest[key]
+    }
+  }
+
+  return { token: bytesToB64(bytes), rest }
+}
+
+function unpackCompact(data, config) {
+  const bytes = b64ToBytes(String(data.p))
+  const schema = config.meta.compactSchema ?? 1
+  if (bytes[0] !== schema) {
+    throw new Error(`Compact schema ${bytes[0]} does not match config schema ${schema}`)
+  }
+
+  let pos = 1
+  const next = () => {
+    if (pos >= bytes.length) throw new Error('Compact token too short')
+    return bytes[pos++]
+  }
+
+  const { _v, _o, p, ...rest } = data
+  const result = { _v: config.meta.formatVersion, _o }
+
+  for (const [key, axis] of Object.entries(config.axes)) {
+    const offset = next()
+    if (offset) result[key] = axis.min + offset - 1
+    else if (key in rest) result[key] = rest[key]
+  }
+
+  for (const [key, field] of Object.entries(config.details)) {
+    let value
+    if (field.type === 'enum') {
+      const index = next()
+      if (index) value = field.values[index - 1]?.value
+    } else if (field.type === 'flags') {
+      const flags = []
+      for (let byte = 0; byte < Math.ceil(field.values.length / 8); byte++) {
+        const mask = next()
+        for (let bit = 0; bit < 8; bit++) {
+          if (mask & (1 << bit)) flags.push(field.values[byte * 8 + bit]?.value)
+        }
+      }
+      if (flags.length) value = flags.length === 1 ? flags[0] : flags
+    } else if (field.type === 'date') {
+      const days = (next() << 8) | next()
+      if (days) value = new Date((days - 1) * DAY_MS).toISOString().split('T')[0]
+    }
+    if (value === undefined && key in rest) value = rest[key]
+    if (value !== undefined) result[key] = value
+  }
+
+  for (const [key, value] of Object.entries(rest)) {
+    if (!(key in result)) result[key] = value
+  }
+  return result
+}
+
 /**
  * Encode data object to self-describing string
  * @param {Object} data - The data to encode
  * @param {Object} config - Config object with meta.origin and meta.formatVersion
+ * @param {Object} options
+ * @param {boolean} options.compact - Pack config-defined values into a v3 token
  * @returns {string} Encoded string
  */
-export function encode(data, config) {
+export function encode(data, config, options = {}) {
+  return encodePairs(data, config, options)
+    .map(([k, v]) => `${k}:${encodeValue(v)}`)
+    .join(';')
+}
+
+function encodePairs(data, config, { compact = false } = {}) {
   const version = config?.meta?.formatVersion ?? 1
   const origin = config?.meta?.origin ?? 'co'
 
+  const packed = compact ? packCompact(data, config) : null
+
   const pairs = [
-    ['v', version],
+    ['v', packed ? COMPACT_VERSION : version],
     ['o', origin],
   ]
-  for (const [key, value] of flatten(data)) {
+  if (packed) pairs.push(['p', packed.token])
+  for (const [key, value] of flattenFields(packed ? packed.rest : data)) {
     if (key === '_v' || key === '_o') continue
     pairs.push([key, value])
   }
+  return pairs
+}
 
-  return pairs.map(([k, v]) => `${k}:${encodeValue(v)}`).join(';')
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+async function compressText(str) {
+  const bytes = await pipeBytes(new TextEncoder().encode(str), new CompressionStream('deflate-raw'))
+  return bytesToB64(bytes)
+}
+
+async function decompressText(str) {
+  const bytes = await pipeBytes(b64ToBytes(str), new DecompressionStream('deflate-raw'))
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+}
+
+/**
+ * Encode like `encode`, but store each text value in whichever of the
+ * `~` (base64url) or `~~` (compressed) forms is shorter
+ * @param {Object} data - The data to encode
+ * @param {Object} config - Config object with meta.origin and meta.formatVersion
+ * @param {Object} options - Same as encode
+ * @returns {Promise<string>} Encoded string
+ */
+export async function encodeAsync(data, config, options = {}) {
+  const segments = []
+  for (const [key, value] of encodePairs(data, config, options)) {
+    let encoded = encodeValue(value)
+    if (typeof value === 'string' && encoded.startsWith('~')) {
+      const compressed = '~~' + (await compressText(value))
+      if (compressed.length < encoded.length) encoded = compressed
+    }
+    segments.push(`${key}:${encoded}`)
+  }
+  return segments.join(';')
+}
+
+/**
+ * Decode like `decode`, also expanding `~~` compressed values
+ * @param {string} str - The encoded string
+ * @param {Object} config - Optional config, needed to unpack compact (v3) statements
+ * @returns {Promise<Object|null>} Decoded data with _v (version) and _o (origin)
+ * @throws {Error} If a `~~` value does not decompress
+ */
+export async function decodeAsync(str, config) {
+  if (!str || typeof str !== 'string') return null
+
+  const segments = []
+  for (const segment of str.split(';')) {
+    const colonIndex = segment.indexOf(':')
+    const value = segment.slice(colonIndex + 1)
+    if (colonIndex === -1 || !value.startsWith('~~')) {
+      segments.push(segment)
+      continue
+    }
+    // Re-encode as plain base64url so decode can take it from here
+    const key = segment.slice(0, colonIndex)
+    const text = await decompressText(value.slice(2)).catch((e) => {
+      throw new Error(`Could not decompress ${key}: ${e.message}`)
+    })
+    segments.push(`${key}:~${b64Encode(text)}`)
+  }
+  return decode(segments.join(';'), config)
 }
 
 /**
  * Decode self-describing string to data object
+ *
+ * Compact (v3) statements are unpacked when a config is given; the result
+ * then carries the config's format version like a readable statement.
+ * `~~` compressed values are kept as encoded; decodeAsync expands them.
  * @param {string} str - The encoded string
+ * @param {Object} config - Optional config, needed to unpack compact statements
  * @returns {Object|null} Decoded data with _v (version) and _o (origin)
  */
-export function decode(str) {
+export function decode(str, config) {
   if (!str || typeof str !== 'string') return null
 
   try {
@@ -118,15 +324,338 @@ export function decode(str) {
       const value = segment.slice(colonIndex + 1)
 
       if (key === 'v') pairs.push(['_v', parseInt(value, 10)])
-      else if (key === 'o') pairs.push(['_o', value])
+      else if (key === 'o') pairs.push(['_o', String(decodeValue(value))])
       else pairs.push([key, decodeValue(value)])
     }
-    return unflatten(pairs)
+    const data = unflatten(pairs)
+    return data._v === COMPACT_VERSION && config ? unpackCompact(data, config) : data
   } catch {
     return null
   }
 }
 
+/**
+ * Decode with diagnostics for malformed input
+ *
+ * Each problem carries the zero-based segment index and the character offset
+ * into `str` where it starts. `data` is exactly what `decode` would return.
+ * @param {string} str - The encoded string
+ * @returns {{ data: Object|null, problems: Array<{ segment: number, offset: number, message: string }> }}
+ */
+export function decodeStrict(str) {
+  const problems = []
+  if (!str || typeof str !== 'string') {
+    problems.push({ segment: 0, offset: 0, message: 'Empty statement' })
+    return { data: null, problems }
+  }
+
+  const seen = new Map()
+  let start = 0
+
+  str.split(';').forEach((segment, index) => {
+    const segmentStart = start
+    const report = (at, message) =>
+      problems.push({ segment: index, offset: segmentStart + at, message })
+    start += segment.length + 1
+    if (!segment) return
+
+    const colonIndex = segment.indexOf(':')
+    if (colonIndex === -1) {
+      report(0, `Missing ":" in segment "${segment}"`)
+      return
+    }
+
+    const key = segment.slice(0, colonIndex)
+    const value = segment.slice(colonIndex + 1)
+
+    if (!key) report(0, 'Empty key')
+
+    if (seen.has(key)) {
+      report(0, `Duplicate key "${key}" (first in segment ${seen.get(key)}), later value wins`)
+    } else {
+      for (const [other, otherIndex] of seen) {
+        if (other.startsWith(`${key}.`) || key.startsWith(`${other}.`)) {
+          report(0, `Key "${key}" conflicts with nested key "${other}" in segment ${otherIndex}`)
+        }
+      }
+      seen.set(key, index)
+    }
+
+    if (key === 'v') {
+      const version = /^\d+$/.test(value) ? parseInt(value, 10) : NaN
+      if (!SUPPORTED_VERSIONS.includes(version)) {
+        report(colonIndex + 1, `Unsupported version "${value}" (supported: ${SUPPORTED_VERSIONS.join(', ')})`)
+      }
+      return
+    }
+
+    // Mirror decodeValue: a leading ~ covers the whole value
+    const items = value.startsWith('~') ? [value] : value.split(',')
+    let itemOffset = colonIndex + 1
+    for (const item of items) {
+      if (item.startsWith('~~')) {
+        if (!/^[A-Za-z0-9_-]+$/.test(item.slice(2))) {
+          report(itemOffset, `Invalid compressed payload "${item}"`)
+        }
+      } else if (item.startsWith('~') && b64Decode(item.slice(1)) === null) {
+        report(itemOffset, `Invalid base64url payload "${item}"`)
+      }
+      itemOffset += item.length + 1
+    }
+  })
+
+  if (!seen.has('v')) problems.push({ segment: 0, offset: 0, message: 'Missing version (v)' })
+
+  return { data: decode(str), problems }
+}
+
+/**
+ * Canonical form
+ *
+ * The same content always encodes to the same string: version and origin,
+ * then axes and details in config order, then other keys alphabetically
+ * (nested keys too), then kid and sig. Flag values are deduplicated and
+ * sorted by their config order, unlisted values last. Empty values and
+ * derived `_` keys (such as decode's `_quadrant`) are dropped; integer
+ * strings become numbers and booleans 1 or 0, as decode would read them back.
+ */
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null || value === '') return true
+  if (Array.isArray(value)) return !value.length
+  return typeof value === 'object' && !Object.keys(value).length
+}
+
+function canonicalValue(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(canonicalValue).filter((v) => !isEmptyValue(v))
+    return items.length === 1 ? items[0] : items
+  }
+  if (value && typeof value === 'object') {
+    const result = {}
+    for (const key of Object.keys(value).sort()) {
+      const item = canonicalValue(value[key])
+      if (!isEmptyValue(item)) result[key] = item
+    }
+    return result
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (typeof value === 'number') return value === 0 ? 0 : value
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) return parseInt(value, 10)
+  return value
+}
+
+function canonicalFlags(value, field) {
+  const order = (field.values || []).map((v) => String(v.value))
+  const rank = (v) => (order.includes(v) ? order.indexOf(v) : order.length)
+  const items = [value].flat().map(canonicalValue).filter((v) => !isEmptyValue(v)).map(String)
+  const sorted = [...new Set(items)].sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0))
+  return canonicalValue(sorted)
+}
+
+/**
+ * Put decoded statement data into canonical form (see above)
+ * @param {Object} data - Decoded statement, or data to encode
+ * @param {Object} config - Config giving axis, detail and flag order
+ * @returns {Object} New data object; encode it for the canonical string
+ */
+export function canonicalize(data, config) {
+  const result = {}
+  const set = (key, value) => {
+    if (!isEmptyValue(value)) result[key] = value
+  }
+
+  set('_v', canonicalValue(data._v))
+  set('_o', data._o)
+  for (const key of Object.keys(config?.axes || {})) {
+    const value = data[key]
+    set(key, typeof value === 'string' && value.trim() && Number.isFinite(Number(value)) ? Number(value) : canonicalValue(value))
+  }
+  for (const [key, field] of Object.entries(config?.details || {})) {
+    set(key, field.type === 'flags' ? canonicalFlags(data[key], field) : canonicalValue(data[key]))
+  }
+
+  const handled = (key) =>
+    key.startsWith('_') || key in result || key in (config?.axes || {}) ||
+    key in (config?.details || {}) || SIGNATURE_KEYS.includes(key)
+  for (const key of Object.keys(data).filter((k) => !handled(k)).sort()) {
+    set(key, canonicalValue(data[key]))
+  }
+  for (const key of SIGNATURE_KEYS) set(key, data[key])
+  return result
+}
+
+/**
+ * Key for a decoded statement's content: the same for statements `equals`
+ * considers equal, so many statements can be deduplicated with a Set or Map
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Config giving axis, detail and flag order
+ * @returns {string}
+ */
+export function contentKey(data, config) {
+  return JSON.stringify(
+    Object.entries(canonicalize(data, config)).filter(([key]) => !SIGNATURE_KEYS.includes(key))
+  )
+}
+
+/**
+ * Whether two decoded statements have the same content
+ *
+ * Compares canonical forms, so key order, flag order and empty values don't
+ * matter. Signatures are not content: a signed statement equals its unsigned
+ * original.
+ * @param {Object} a - Decoded statement
+ * @param {Object} b - Decoded statement
+ * @param {Object} config - Config giving axis, detail and flag order
+ * @returns {boolean}
+ */
+export function equals(a, b, config) {
+  if (!a || !b) return false
+  return contentKey(a, config) === contentKey(b, config)
+}
+
+/**
+ * Statement signing (Ed25519 via WebCrypto, works in Node and browsers)
+ *
+ * A signed statement appends `kid:<key id>;sig:<base64url signature>`. The
+ * signature covers the signing payload: the decoded statement without `sig`
+ * (so `kid` is signed too), with empty values dropped, keys and list values
+ * sorted lexicographically and duplicates removed. Re-encoding the same
+ * content (key order, `~` text, compact form) keeps the signature valid, and
+ * so does reordering the config, since the payload does not use its order.
+ */
+
+export const SIGNATURE_KEYS = ['kid', 'sig']
+const ED25519 = { name: 'Ed25519' }
+
+/**
+ * Remove kid and sig segments from an encoded statement
+ * @param {string} encoded
+ * @returns {string}
+ */
+function stripSignature(encoded) {
+  return encoded
+    .split(';')
+    .filter((segment) => segment && !SIGNATURE_KEYS.includes(segment.split(':')[0]))
+    .join(';')
+}
+
+/**
+ * Sort list values lexicographically, without duplicates, at any depth
+ * @param {*} value - From canonicalValue (object keys already sorted)
+ * @returns {*}
+ */
+function sortedLists(value) {
+  if (Array.isArray(value)) {
+    const items = [...new Set(value.map(String))].sort()
+    return items.length === 1 ? items[0] : items
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, sortedLists(item)]))
+  }
+  return value
+}
+
+/**
+ * Get the bytes-to-sign for a statement (see above)
+ * @param {string} encoded - Encoded statement, signed or not
+ * @param {Object} config - Config to unpack compact statements with; its order is not used
+ * @returns {Promise<string|null>} Signing payload, or null if the statement does not decode
+ */
+export async function signingPayload(encoded, config) {
+  const data = await decodeAsync(encoded, config)
+  if (!data?._v) return null
+  const { _v, _o, sig, ...rest } = data
+  const fields = Object.fromEntries(Object.entries(rest).filter(([key]) => !key.startsWith('_')))
+  const pairs = [['v', canonicalValue(_v)], ['o', _o], ...flattenFields(sortedLists(canonicalValue(fields)))]
+  return pairs.map(([k, v]) => `${k}:${encodeValue(v)}`).join(';')
+}
+
+/**
+ * Read the key id and signature from a statement
+ * @param {string} encoded - Encoded statement
+ * @returns {{ kid: string, sig: string }|null} null when unsigned
+ */
+export function getSignature(encoded) {
+  const fields = {}
+  for (const segment of encoded.split(';')) {
+    const colonIndex = segment.indexOf(':')
+    const key = segment.slice(0, colonIndex)
+    if (colonIndex !== -1 && SIGNATURE_KEYS.includes(key)) {
+      fields[key] = segment.slice(colonIndex + 1)
+    }
+  }
+  if (!fields.sig) return null
+  return { kid: fields.kid ? String(decodeValue(fields.kid)) : '', sig: fields.sig }
+}
+
+/**
+ * Derive a short key id from a public key (first 8 bytes of its SHA-256, hex)
+ * @param {string} publicKey - Base64url raw Ed25519 public key
+ * @returns {Promise<string>} Key id
+ */
+export async function keyFingerprint(publicKey) {
+  const digest = await crypto.subtle.digest('SHA-256', b64ToBytes(publicKey))
+  return Array.from(new Uint8Array(digest).slice(0, 8), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join('')
+}
+
+/**
+ * Generate an Ed25519 key pair
+ * @returns {Promise<{ kid: string, publicKey: string, privateKey: Object }>}
+ *   publicKey is base64url raw bytes, privateKey is a JWK
+ */
+export async function generateKeyPair() {
+  const pair = await crypto.subtle.generateKey(ED25519, true, ['sign', 'verify'])
+  const privateKey = await crypto.subtle.exportKey('jwk', pair.privateKey)
+  const publicKey = bytesToB64(await crypto.subtle.exportKey('raw', pair.publicKey))
+  return { kid: await keyFingerprint(publicKey), publicKey, privateKey }
+}
+
+/**
+ * Sign a statement, replacing any existing signature
+ * @param {string} encoded - Encoded statement
+ * @param {Object} privateKey - Ed25519 private key as JWK
+ * @param {string} kid - Key id to embed
+ * @param {Object} config - Config for the signing payload
+ * @returns {Promise<string>} Signed statement
+ * @throws {Error} If the statement does not decode
+ */
+export async function signStatement(encoded, privateKey, kid, config) {
+  const withKid = `${stripSignature(encoded)};kid:${encodeValue(kid)}`
+  const payload = await signingPayload(withKid, config)
+  if (!payload) throw new Error('Could not decode statement')
+  const key = await crypto.subtle.importKey('jwk', privateKey, ED25519, false, ['sign'])
+  const signature = await crypto.subtle.sign(ED25519, key, new TextEncoder().encode(payload))
+  return `${withKid};sig:${bytesToB64(signature)}`
+}
+
+/**
+ * Verify a statement's signature against a public key
+ * @param {string} encoded - Signed statement
+ * @param {string} publicKey - Base64url raw Ed25519 public key
+ * @param {Object} config - Config for the signing payload
+ * @returns {Promise<boolean>} false when unsigned, malformed or not matching
+ */
+export async function verifyStatement(encoded, publicKey, config) {
+  const signature = getSignature(encoded)
+  if (!signature) return false
+  try {
+    const payload = await signingPayload(encoded, config)
+    if (!payload) return false
+    const key = await crypto.subtle.importKey('raw', b64ToBytes(publicKey), ED25519, false, ['verify'])
+    return await crypto.subtle.verify(
+      ED25519,
+      key,
+      b64ToBytes(signature.sig),
+      new TextEncoder().encode(payload)
+    )
+  } catch {
+    return false
+  }
+}
+
 /**
  * Parse URL hash to extract encoded string
  */
@@ -141,6 +670,30 @@ export function parseUrl(urlOrHash) {
   }
 }
 
+const STATEMENT_PATTERN = /v:\d+;o:[^;\s)"'<>`\]]+(?:;[A-Za-z0-9_.-]+:[^;\s)"'<>`\]]*)*/g
+
+/**
+ * Find statements embedded in text (raw `v:N;o:...` or a URL's `#v:...` hash)
+ * @param {string} text - Any text, such as a README or source file
+ * @returns {Array<{ statement: string, line: number, column: number, url: boolean }>}
+ *   line and column are 1-based; url is true when the statement is a link's hash
+ */
+export function extractStatements(text) {
+  const found = []
+  text.split(/\r?\n/).forEach((content, index) => {
+    for (const match of content.matchAll(STATEMENT_PATTERN)) {
+      if (match.index > 0 && /[A-Za-z0-9_]/.test(content[match.index - 1])) continue
+      found.push({
+        statement: match[0].replace(/[.,]+$/, ''),
+        line: index + 1,
+        column: match.index + 1,
+        url: content[match.index - 1] === '#',
+      })
+    }
+  })
+  return found
+}
+
 /**
  * Build URL for a statement
  * @param {string} encoded - Encoded statement
@@ -167,6 +720,99 @@ export function badgeUrl(text, color, serviceUrl, style = 'flat') {
     .replace('{style}', style)
 }
 
+/**
+ * Approximate glyph advance widths for 11px Verdana, the font badge
+ * services render with. Unlisted characters fall back to DEFAULT_CHAR_WIDTH.
+ */
+const CHAR_WIDTHS = {
+  ' ': 3.9, '!': 4.3, '"': 5.1, '#': 9.0, '$': 7.0, '%': 11.9, '&': 8.0,
+  "'": 3.0, '(': 5.0, ')': 5.0, '*': 7.0, '+': 9.0, ',': 4.0, '-': 5.0,
+  '.': 4.0, '/': 5.0, ':': 5.0, ';': 5.0, '<': 9.0, '=': 9.0, '>': 9.0,
+  '?': 6.0, '@': 11.0, '[': 5.0, '\\': 5.0, ']': 5.0, '_': 7.0, '|': 5.0,
+  a: 6.7, b: 6.9, c: 5.8, d: 6.9, e: 6.6, f: 3.9, g: 6.9, h: 7.0, i: 3.0,
+  j: 3.8, k: 6.5, l: 3.0, m: 10.7, n: 7.0, o: 6.7, p: 6.9, q: 6.9, r: 4.7,
+  s: 5.7, t: 4.3, u: 7.0, v: 6.5, w: 9.0, x: 6.5, y: 6.5, z: 5.8,
+  A: 7.5, B: 7.6, C: 7.7, D: 8.5, E: 7.0, F: 6.3, G: 8.5, H: 8.3, I: 4.6,
+  J: 5.0, K: 7.6, L: 6.1, M: 9.3, N: 8.2, O: 8.6, P: 6.6, Q: 8.6, R: 7.7,
+  S: 7.5, T: 6.8, U: 8.1, V: 7.5, W: 10.9, X: 7.5, Y: 6.8, Z: 7.5,
+}
+const DEFAULT_CHAR_WIDTH = 7.0
+
+const BADGE_STYLES = {
+  flat: { height: 20, radius: 3, padding: 6, fontSize: 11, spacing: 0, gradient: true },
+  'flat-square': { height: 20, radius: 0, padding: 6, fontSize: 11, spacing: 0, gradient: false },
+  'for-the-badge': { height: 28, radius: 0, padding: 12, fontSize: 10, spacing: 1.25, gradient: false, upper: true },
+}
+
+function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function textWidth(text) {
+  let width = 0
+  for (const char of text) width += CHAR_WIDTHS[char] ?? DEFAULT_CHAR_WIDTH
+  return width
+}
+
+/**
+ * Pick black or white text for legibility on a background color
+ */
+function textColorFor(hex) {
+  const full = hex.length === 3 ? hex.replace(/./g, '$&$&') : hex.slice(0, 6)
+  const n = parseInt(full, 16)
+  const [r, g, b] = [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255
+  return luminance > 0.65 ? '#333' : '#fff'
+}
+
+/**
+ * Render a self-contained SVG badge (no external service)
+ * @param {string} text - Badge text (e.g., "Handcrafted")
+ * @param {string} color - Hex color without #
+ * @param {string} style - Badge style: flat, flat-square or for-the-badge
+ * @returns {string} SVG markup
+ */
+export function badgeSvg(text, color, style = 'flat') {
+  const s = BADGE_STYLES[style] || BADGE_STYLES.flat
+  const label = s.upper ? text.toUpperCase() : text
+  const chars = [...label].length
+  const contentWidth = Math.round(
+    textWidth(label) + s.spacing * Math.max(0, chars - 1)
+  )
+  const width = contentWidth + s.padding * 2
+  const height = s.height
+  const fill = /^[0-9a-fA-F]{3,8}$/.test(color) ? `#${color}` : '#555'
+  const textFill = textColorFor(fill.slice(1))
+  const safe = escapeXml(label)
+  const x = width / 2
+  const y = Math.round(height / 2 + s.fontSize * 0.35)
+  const textAttrs = `x="${x}" textLength="${contentWidth}"`
+  const weight = s.upper ? ' font-weight="bold"' : ''
+
+  const gradient = s.gradient
+    ? `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>`
+    : ''
+  const overlay = s.gradient ? `<rect width="${width}" height="${height}" fill="url(#s)"/>` : ''
+  const shadow = textFill === '#fff'
+    ? `<text ${textAttrs} y="${y + 1}" fill="#010101" fill-opacity=".3">${safe}</text>`
+    : ''
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${safe}">`,
+    `<title>${safe}</title>`,
+    gradient,
+    `<clipPath id="r"><rect width="${width}" height="${height}" rx="${s.radius}" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)"><rect width="${width}" height="${height}" fill="${fill}"/>${overlay}</g>`,
+    `<g fill="${textFill}" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="${s.fontSize}"${weight}>`,
+    `${shadow}<text ${textAttrs} y="${y}">${safe}</text>`,
+    `</g></svg>`,
+  ].join('')
+}
+
 /**
  * Generate markdown for badge with link
  * @param {string} encoded - Encoded statement
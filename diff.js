@@ -0,0 +1,143 @@
+/**
+ * Diff - field-by-field comparison of two decoded statements
+ *
+ * Axes come first, then details, both in config order and with config
+ * labels, then any other fields (nested keys flattened, e.g. `risk.deploy`).
+ * Missing axes count as their default, as for the quadrant. Flags compare
+ * as sets, so reordering them is not a change. Older statements are
+ * migrated first when the config declares a migration.
+ */
+
+import {
+  getStatementQuadrant,
+  getScore,
+  getAxisLabel,
+  getLabel,
+  getExtraFields,
+  migrateToCurrent,
+  toList,
+} from './config.js'
+import { flattenFields } from './core.js'
+
+/**
+ * Fields that are neither axes, details nor metadata, flattened
+ * @param {Object} data
+ * @param {Object} config
+ * @returns {Object<string, *>}
+ */
+function otherFields(data, config) {
+  return Object.fromEntries(flattenFields(getExtraFields(data, config)))
+}
+
+/**
+ * Human-readable form of a field value
+ * @param {string} key
+ * @param {*} value
+ * @param {string} type - 'axis', a detail type, or 'other'
+ * @param {Object} config
+ * @returns {string|null} null when the value is unset
+ */
+function valueLabel(key, value, type, config) {
+  if (type === 'axis') return getAxisLabel(key, value, config)
+  const values = toList(value)
+  if (!values.length) return null
+  if (type === 'enum' || type === 'flags') return values.map((v) => getLabel(key, v, config)).join(', ')
+  return values.join(', ')
+}
+
+/**
+ * Compare one field
+ * @param {string} key
+ * @param {string} label
+ * @param {string} type - 'axis', a detail type, or 'other'
+ * @param {*} before
+ * @param {*} after
+ * @param {Object} config
+ * @returns {Object} Field diff
+ */
+function diffField(key, label, type, before, after, config) {
+  const from = toList(before)
+  const to = toList(after)
+  const field = {
+    key,
+    label,
+    type,
+    status: 'unchanged',
+    before: from.length ? before : null,
+    after: to.length ? after : null,
+    beforeLabel: valueLabel(key, before, type, config),
+    afterLabel: valueLabel(key, after, type, config),
+  }
+
+  if (!from.length && !to.length) return field
+  if (!from.length) field.status = 'added'
+  else if (!to.length) field.status = 'removed'
+
+  if (type === 'flags') {
+    field.added = to.filter((v) => !from.includes(v)).map((v) => getLabel(key, v, config))
+    field.removed = from.filter((v) => !to.includes(v)).map((v) => getLabel(key, v, config))
+    if (field.status === 'unchanged' && (field.added.length || field.removed.length)) field.status = 'changed'
+  } else if (field.status === 'unchanged' && from.join(',') !== to.join(',')) {
+    field.status = 'changed'
+  }
+  return field
+}
+
+/**
+ * Summarise a quadrant for diff output
+ * @param {Object} q - From getStatementQuadrant
+ * @returns {{ key: string, label: string, color: string }}
+ */
+function quadrantSummary(q) {
+  return { key: q.key, label: q.label, color: q.color }
+}
+
+/**
+ * Compare two decoded statements field by field
+ * @param {Object} a - Earlier statement (decoded)
+ * @param {Object} b - Later statement (decoded)
+ * @param {Object} config - Loaded config
+ * @returns {{
+ *   changed: boolean,
+ *   quadrant: { before: Object, after: Object, changed: boolean },
+ *   score: { before: number, after: number }|null,
+ *   fields: Array<{ key: string, label: string, type: string, status: string,
+ *     before: *, after: *, beforeLabel: string|null, afterLabel: string|null,
+ *     added?: string[], removed?: string[] }>
+ * }} `status` is one of added, removed, changed, unchanged; `added` and
+ *   `removed` list flag labels
+ * @throws {Error} If an older statement's migration fails
+ */
+export function diffStatements(a, b, config) {
+  const before = migrateToCurrent(a, config)
+  const after = migrateToCurrent(b, config)
+  const fields = []
+
+  for (const [key, axis] of Object.entries(config.axes)) {
+    fields.push(
+      diffField(key, axis.label || key, 'axis', before[key] ?? axis.default, after[key] ?? axis.default, config)
+    )
+  }
+  for (const [key, field] of Object.entries(config.details)) {
+    fields.push(diffField(key, field.label || key, field.type, before[key], after[key], config))
+  }
+
+  const otherBefore = otherFields(before, config)
+  const otherAfter = otherFields(after, config)
+  const otherKeys = [...new Set([...Object.keys(otherBefore), ...Object.keys(otherAfter)])].sort()
+  for (const key of otherKeys) {
+    fields.push(diffField(key, key, 'other', otherBefore[key], otherAfter[key], config))
+  }
+
+  const qBefore = quadrantSummary(getStatementQuadrant(before, config))
+  const qAfter = quadrantSummary(getStatementQuadrant(after, config))
+  const scoreBefore = getScore(before, config)
+  const scoreAfter = getScore(after, config)
+
+  return {
+    changed: fields.some((f) => f.status !== 'unchanged'),
+    quadrant: { before: qBefore, after: qAfter, changed: qBefore.key !== qAfter.key },
+    score: scoreBefore === null ? null : { before: scoreBefore, after: scoreAfter },
+    fields,
+  }
+}
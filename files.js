@@ -0,0 +1,127 @@
+/**
+ * File helpers for the CLI - glob matching and directory walking
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'fs'
+import { join } from 'path'
+
+const ALWAYS_SKIPPED = ['.git', 'node_modules']
+
+/**
+ * Convert a gitignore-style glob to a RegExp over `/`-separated relative paths
+ *
+ * - `*` matches within a path segment, `?` one character, `**` any depth
+ * - A pattern without `/` matches the file name at any depth
+ * - A leading `/` anchors to the root; a trailing `/` matches everything below
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let glob = pattern
+  if (glob.endsWith('/')) glob += '**'
+  const anchored = glob.startsWith('/') || glob.slice(0, -1).includes('/')
+  glob = glob.replace(/^\//, '')
+
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`)
+}
+
+/**
+ * Rank how specific a glob is: more literal segments, then more literal characters
+ * @param {string} pattern - Glob pattern
+ * @returns {number[]} Comparable [segments, characters] tuple
+ */
+export function globSpecificity(pattern) {
+  const segments = pattern.replace(/^\/|\/$/g, '').split('/')
+  const literalSegments = segments.filter((s) => !/[*?]/.test(s)).length
+  const literalChars = pattern.replace(/[*?/]/g, '').length
+  return [literalSegments, literalChars]
+}
+
+/**
+ * List files under a directory as `/`-separated paths relative to it
+ * @param {string} root - Directory to walk
+ * @param {Function} ignore - Optional (relativePath, isDirectory) => boolean
+ * @returns {string[]} Relative file paths, sorted
+ */
+export function walkFiles(root, ignore = () => false) {
+  const files = []
+  const visit = (dir, prefix) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (ALWAYS_SKIPPED.includes(entry.name)) continue
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name
+      const isDirectory = entry.isDirectory()
+      if (ignore(rel, isDirectory)) continue
+      if (isDirectory) visit(join(dir, entry.name), rel)
+      else if (entry.isFile()) files.push(rel)
+    }
+  }
+  visit(root, '')
+  return files.sort()
+}
+
+/**
+ * Parse .gitignore text into ordered rules
+ * @param {string} text - .gitignore contents
+ * @returns {Array<{ regex: RegExp, negate: boolean, dirOnly: boolean }>}
+ */
+export function parseGitignore(text) {
+  const rules = []
+  for (const raw of text.split(/\r?\n/)) {
+    let pattern = raw.replace(/\s+$/, '')
+    if (!pattern || pattern.startsWith('#')) continue
+
+    const negate = pattern.startsWith('!')
+    if (negate) pattern = pattern.slice(1)
+    const dirOnly = pattern.endsWith('/')
+    if (dirOnly) pattern = pattern.slice(0, -1)
+
+    rules.push({ regex: globToRegExp(pattern), negate, dirOnly })
+  }
+  return rules
+}
+
+/**
+ * Build a walkFiles ignore callback honouring .gitignore files at every level
+ * @param {string} root - Directory being walked
+ * @returns {Function} (relativePath, isDirectory) => boolean
+ */
+export function gitignoreFilter(root) {
+  const cache = new Map()
+  const rulesFor = (dir) => {
+    if (!cache.has(dir)) {
+      const file = join(root, dir, '.gitignore')
+      cache.set(dir, existsSync(file) ? parseGitignore(readFileSync(file, 'utf8')) : [])
+    }
+    return cache.get(dir)
+  }
+
+  return (rel, isDirectory) => {
+    const parts = rel.split('/')
+    let ignored = false
+    // Rules from deeper .gitignore files are applied last, so they win
+    for (let depth = 0; depth < parts.length; depth++) {
+      const sub = parts.slice(depth).join('/')
+      for (const rule of rulesFor(parts.slice(0, depth).join('/'))) {
+        if (rule.dirOnly && !isDirectory) continue
+        if (rule.regex.test(sub)) ignored = !rule.negate
+      }
+    }
+    return ignored
+  }
+}
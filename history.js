@@ -0,0 +1,246 @@
+/**
+ * History - statements recorded as git commit trailers
+ *
+ *   Fix token refresh race
+ *
+ *   Coauthored: v:2;o:coauthored.dev;stakes:4;autonomy:3;review:full
+ *
+ * readGitLog runs `git log` in a given directory; summarizeHistory groups the
+ * decoded trailers by month, author or top-level path. The prepare-commit-msg
+ * hook pre-fills the trailer from the last statement, kept in
+ * `.git/coauthored-state.json`.
+ */
+
+import { execFileSync } from 'child_process'
+import { readFileSync, writeFileSync } from 'fs'
+import { parseUrl } from './core.js'
+import { getQuadrant } from './config.js'
+
+export const TRAILER_KEY = 'Coauthored'
+
+const TRAILER_PATTERN = new RegExp(`^${TRAILER_KEY}:\\s*(\\S+)\\s*$`, 'im')
+const RECORD_SEP = '\x1e'
+const FIELD_SEP = '\x1f'
+
+/**
+ * Format a statement as a commit trailer line
+ * @param {string} statement - Encoded statement
+ * @returns {string}
+ */
+export function formatTrailer(statement) {
+  return `${TRAILER_KEY}: ${statement}`
+}
+
+/**
+ * Find the statement trailer in a commit message
+ * @param {string} message - Full commit message
+ * @returns {string|null} Statement (URLs are reduced to the statement), or null
+ */
+export function parseTrailer(message) {
+  const match = message.match(TRAILER_PATTERN)
+  return match ? parseUrl(match[1]) : null
+}
+
+/**
+ * Read commits from git
+ * @param {string} [range] - Revision range, e.g. "main..HEAD" (default: HEAD)
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory
+ * @param {string[]} [options.paths] - Limit to commits touching these paths
+ * @returns {Array<{ hash: string, author: string, date: string, message: string, files: string[] }>}
+ */
+export function readGitLog(range, { cwd = process.cwd(), paths = [] } = {}) {
+  const format = `${RECORD_SEP}%H${FIELD_SEP}%an${FIELD_SEP}%aI${FIELD_SEP}%B${FIELD_SEP}`
+  const args = ['log', `--format=${format}`, '--name-only', range || 'HEAD']
+  if (paths.length) args.push('--', ...paths)
+
+  const output = execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 })
+  return output
+    .split(RECORD_SEP)
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, author, date, message, files = ''] = record.split(FIELD_SEP)
+      return {
+        hash,
+        author,
+        date,
+        message: message.trim(),
+        files: files.split('\n').map((f) => f.trim()).filter(Boolean),
+      }
+    })
+}
+
+/**
+ * Group keys for a commit
+ * @param {Object} commit - From readGitLog
+ * @param {string} by - "month", "author" or "path"
+ * @returns {string[]}
+ */
+function groupKeys(commit, by) {
+  if (by === 'author') return [commit.author]
+  if (by === 'path') {
+    const dirs = commit.files.map((f) => (f.includes('/') ? f.slice(0, f.indexOf('/') + 1) : '.'))
+    return dirs.length ? [...new Set(dirs)] : ['.']
+  }
+  return [commit.date.slice(0, 7)]
+}
+
+/**
+ * Summarise stakes and autonomy across commits
+ * @param {Array<{ commit: Object, data: Object }>} items - Commits with decoded trailers
+ * @param {Object} config - Loaded config
+ * @param {string} [by='month'] - "month", "author" or "path"
+ * @returns {Array<{ key: string, commits: number, stakes: number, autonomy: number, quadrants: Object<string, number> }>}
+ *   Groups sorted by key (months ascending) or by commit count
+ */
+export function summarizeHistory(items, config, by = 'month') {
+  const groups = new Map()
+
+  for (const { commit, data } of items) {
+    const stakes = data.stakes ?? config.axes.stakes.default
+    const autonomy = data.autonomy ?? config.axes.autonomy.default
+    const quadrant = getQuadrant(stakes, autonomy, config)
+
+    for (const key of groupKeys(commit, by)) {
+      const group = groups.get(key) || { key, commits: 0, stakes: 0, autonomy: 0, quadrants: {} }
+      group.commits++
+      group.stakes += stakes
+      group.autonomy += autonomy
+      if (quadrant) group.quadrants[quadrant.key] = (group.quadrants[quadrant.key] || 0) + 1
+      groups.set(key, group)
+    }
+  }
+
+  const result = [...groups.values()].map((g) => ({
+    ...g,
+    stakes: Math.round((g.stakes / g.commits) * 10) / 10,
+    autonomy: Math.round((g.autonomy / g.commits) * 10) / 10,
+  }))
+  return by === 'month'
+    ? result.sort((a, b) => a.key.localeCompare(b.key))
+    : result.sort((a, b) => b.commits - a.commits || a.key.localeCompare(b.key))
+}
+
+const STATE_FILE = 'coauthored-state.json'
+const HOOK_BEGIN = '# >>> coauthored >>>'
+const HOOK_END = '# <<< coauthored <<<'
+
+/**
+ * Resolve a path inside the repository's git directory
+ * @param {string} name - e.g. "hooks/prepare-commit-msg"
+ * @param {string} [cwd] - Repository directory
+ * @returns {string} Absolute path
+ */
+export function gitPath(name, cwd = process.cwd()) {
+  const path = execFileSync('git', ['rev-parse', '--path-format=absolute', '--git-path', name], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+  return path.trim()
+}
+
+/**
+ * Read the local (untracked) state kept in the git directory
+ * @param {string} [cwd] - Repository directory
+ * @returns {{ lastStatement?: string }}
+ */
+export function readState(cwd) {
+  try {
+    return JSON.parse(readFileSync(gitPath(STATE_FILE, cwd), 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Merge values into the local state
+ * @param {Object} values - e.g. { lastStatement }
+ * @param {string} [cwd] - Repository directory
+ */
+export function writeState(values, cwd) {
+  const state = { ...readState(cwd), ...values }
+  writeFileSync(gitPath(STATE_FILE, cwd), JSON.stringify(state, null, 2) + '\n')
+}
+
+/**
+ * Add our block to hook script text, replacing any earlier copy
+ *
+ * The block goes straight after the shebang so an `exit` in existing hook
+ * content cannot skip it.
+ * @param {string} existing - Current hook contents ('' if none)
+ * @param {string} command - Shell command to run
+ * @returns {string} New hook contents
+ */
+export function addHookBlock(existing, command) {
+  const block = `${HOOK_BEGIN}\n${command}\n${HOOK_END}\n`
+  const rest = removeHookBlock(existing)
+  if (!rest.trim()) return `#!/bin/sh\n${block}`
+  if (!rest.startsWith('#!')) return `#!/bin/sh\n${block}${rest}`
+  const newline = rest.indexOf('\n')
+  return newline === -1
+    ? `${rest}\n${block}`
+    : `${rest.slice(0, newline + 1)}${block}${rest.slice(newline + 1)}`
+}
+
+/**
+ * Remove our block from hook script text
+ * @param {string} existing - Current hook contents
+ * @returns {string} Contents without the block
+ */
+export function removeHookBlock(existing) {
+  const begin = existing.indexOf(HOOK_BEGIN)
+  const end = existing.indexOf(HOOK_END)
+  if (begin === -1 || end === -1) return existing
+  return existing.slice(0, begin) + existing.slice(end + HOOK_END.length).replace(/^\n/, '')
+}
+
+/**
+ * Whether hook contents hold nothing besides a shebang
+ * @param {string} contents - Hook contents
+ * @returns {boolean}
+ */
+export function isEmptyHook(contents) {
+  return !contents.replace(/^#!.*$/m, '').trim()
+}
+
+/**
+ * Whether the commit a prepare-commit-msg hook runs for amends HEAD
+ *
+ * git passes hooks the new commit's author in GIT_AUTHOR_*. An amend keeps
+ * HEAD's author and date, a new commit is dated now, so a new commit by the
+ * same author in the same second as HEAD counts as an amend too.
+ * @param {Object} [env] - Hook environment
+ * @param {string} [cwd] - Repository directory
+ * @returns {boolean}
+ */
+export function isAmend(env = process.env, cwd = process.cwd()) {
+  if (!env.GIT_AUTHOR_DATE) return false
+  let head
+  try {
+    head = execFileSync('git', ['show', '-s', `--format=%an${FIELD_SEP}%ae${FIELD_SEP}%ad`, '--date=raw', 'HEAD'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+  } catch {
+    return false // No commits yet
+  }
+  const author = [env.GIT_AUTHOR_NAME, env.GIT_AUTHOR_EMAIL, env.GIT_AUTHOR_DATE.replace(/^@/, '')]
+  return head.trim() === author.join(FIELD_SEP)
+}
+
+/**
+ * Append the statement trailer to a commit message file, unless it has one
+ * @param {string} file - Commit message file
+ * @param {string} statement - Encoded statement
+ * @param {string} [cwd] - Repository directory
+ * @returns {boolean} Whether the trailer was added
+ */
+export function addTrailer(file, statement, cwd = process.cwd()) {
+  if (parseTrailer(readFileSync(file, 'utf8'))) return false
+  execFileSync('git', ['interpret-trailers', '--in-place', '--trailer', formatTrailer(statement), file], {
+    cwd,
+  })
+  return true
+}
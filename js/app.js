@@ -3,13 +3,29 @@
  * Single-page orchestration with risk matrix
  */
 
-import { loadConfig } from '../config.js'
-import { decode, encode, parseUrl } from '../core.js'
+import { loadConfig, loadOriginConfig, migrate, getScore } from '../config.js'
+import { decode, decodeAsync, encodeAsync, parseUrl, canonicalize } from '../core.js'
 import { initTheme, toggleTheme } from './theme.js'
-import { renderMatrix, initMatrix, getMatrixValues } from './matrix.js'
+import { escapeHtml } from './html.js'
+import { renderMatrix, initMatrix, getMatrixValues, updateBannerScore } from './matrix.js'
 import { renderDetails, getDetailValues } from './details.js'
 import { renderViewer } from './viewer.js'
-import { renderOutputPanel, updateOutputValues } from './output.js'
+import { renderOutputPanel, updateOutputValues, initBadgeDownload } from './output.js'
+import { renderPolicyWarnings, updatePolicyWarnings } from './policies.js'
+import { setExtensionFields, getExtensionFields, renderExtensionFields, initExtensionFields } from './extensions.js'
+import { renderQuestionnaire } from './questionnaire.js'
+import {
+  initDrafts,
+  startDraft,
+  autosaveDraft,
+  closeDraft,
+  getActiveDraft,
+  renderDraftsMenu,
+  initDraftsMenu,
+} from './draft.js'
+import { parseDiffHash, renderDiff } from './diff.js'
+import { diffStatements } from '../diff.js'
+import { initLibrary, recordStatement, renderLibrary, renderLibraryBar, initLibraryBar } from './library.js'
 
 /** @type {Object|null} */
 let config = null
@@ -21,7 +37,10 @@ async function init() {
   try {
     config = await loadConfig()
     initTheme(config)
+    initDrafts(config)
+    initLibrary(config)
     initKeyboardShortcuts()
+    initDetailListeners()
 
     const footerText = document.getElementById('footer-text')
     if (footerText) {
@@ -43,31 +62,127 @@ async function init() {
 /**
  * Route based on URL hash
  */
-function route() {
+async function route() {
   const hash = parseUrl(window.location.hash)
+  if (hash === 'library') {
+    renderLibrary(config)
+    return
+  }
+  const diffPair = parseDiffHash(hash)
+  if (diffPair && (await showDiff(diffPair))) return
   if (hash) {
-    const data = decode(hash)
-    if (data) {
-      renderViewer(data, hash, config, handleEdit, handleNew)
-      return
+    const raw = decode(hash)
+    if (raw?._v) {
+      const origin = await loadOriginConfig(raw._o, config)
+      // A corrupt statement opens the creator, like one that does not decode
+      const data = await decodeAsync(hash, origin.config).catch(() => null)
+      if (data) {
+        renderViewer(data, hash, origin.config, handleEdit, handleNew, handleUpgrade)
+        const entry = recordStatement(hash, data, origin.config)
+        document.querySelector('.viewer-actions')?.insertAdjacentHTML('beforebegin', renderLibraryBar(entry, config))
+        initLibraryBar(hash)
+        if (!origin.known) showUnknownOrigin(raw._o)
+        return
+      }
     }
   }
   renderCreator()
+  offerDraftRestore()
+}
+
+/**
+ * Render the diff view for two encoded statements
+ * @param {[string, string]} pair - Earlier and later statement
+ * @returns {Promise<boolean>} false when either statement does not decode
+ */
+async function showDiff([before, after]) {
+  const raw = decode(before)
+  if (!raw?._v) return false
+  const origin = await loadOriginConfig(raw._o, config)
+  const a = await decodeAsync(before, origin.config).catch(() => null)
+  const b = await decodeAsync(after, origin.config).catch(() => null)
+  if (!a?._v || !b?._v) return false
+
+  renderDiff(diffStatements(a, b, origin.config), before, after, origin.config)
+  if (!origin.known) showUnknownOrigin(raw._o)
+  return true
+}
+
+/** Only offer to restore a draft once per page load */
+let restoreOffered = false
+
+/**
+ * Offer to restore the draft that was being edited before the page was closed
+ */
+function offerDraftRestore() {
+  if (restoreOffered) return
+  restoreOffered = true
+
+  const draft = getActiveDraft()
+  if (!draft) return
+
+  const labels = config.ui.labels
+  const notice = config.ui?.notices?.draft || {}
+  const name = escapeHtml(draft.name)
+  const time = new Date(draft.updated).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+  document.getElementById('app').insertAdjacentHTML('afterbegin', `
+    <div class="notice draft-restore" id="draft-restore" role="status">
+      <p class="notice-text">${(notice.text || '{name}').replace('{name}', `<strong>${name}</strong>`).replace('{time}', time)}</p>
+      <div class="draft-restore-actions">
+        <button type="button" class="btn btn-primary" id="btn-draft-restore">${labels.restore}</button>
+        <button type="button" class="btn btn-secondary" id="btn-draft-dismiss">${labels.dismiss}</button>
+      </div>
+    </div>
+  `)
+  document.getElementById('btn-draft-restore')?.addEventListener('click', () => {
+    renderCreator(draft.data, draft.id)
+  })
+  document.getElementById('btn-draft-dismiss')?.addEventListener('click', () => {
+    document.getElementById('draft-restore')?.remove()
+  })
+}
+
+/**
+ * Prepend a notice that the statement's origin could not be resolved
+ * @param {string} origin - Statement origin
+ */
+function showUnknownOrigin(origin) {
+  const notice = config.ui?.notices?.unknownOrigin || {}
+  const safeOrigin = escapeHtml(origin)
+  document.getElementById('app').insertAdjacentHTML('afterbegin', `
+    <div class="notice notice--warning" role="status">
+      <p class="notice-title">${notice.title || 'Unknown origin'}</p>
+      <p class="notice-text">${(notice.text || '{origin}').replace('{origin}', `<code>${safeOrigin}</code>`)}</p>
+    </div>
+  `)
 }
 
 /**
  * Render the matrix creator (single page)
  * @param {Object} initial - Initial values for editing
+ * @param {string|null} draftId - Draft to keep saving into (null starts a new one)
  */
-function renderCreator(initial = {}) {
+function renderCreator(initial = {}, draftId = null) {
+  startDraft(draftId)
+  setExtensionFields(initial, config)
+
   const matrixHtml = renderMatrix(config, initial)
   const detailsHtml = renderDetails(config, initial)
   const outputHtml = renderOutputPanel(config)
   const labels = config.ui.labels
+  const guidedHtml = config.questionnaire?.questions?.length
+    ? `<button type="button" class="btn btn-secondary" id="btn-guided">${labels.guided}</button>`
+    : ''
 
   document.getElementById('app').innerHTML = `
+    <div class="creator-mode">
+      ${renderDraftsMenu()}
+      ${guidedHtml}
+    </div>
     ${matrixHtml}
     ${detailsHtml}
+    ${renderExtensionFields(config)}
+    ${renderPolicyWarnings()}
     <div class="submit-row">
       <button type="button" class="btn btn-primary" id="btn-submit">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><path d="M5 12h14M12 5l7 7-7 7"/></svg>
@@ -82,44 +197,59 @@ function renderCreator(initial = {}) {
     updateEncoded()
   })
 
+  initBadgeDownload()
+  initExtensionFields(config, updateEncoded)
+
   // Wire up submit button
   document.getElementById('btn-submit')?.addEventListener('click', submitStatement)
 
-  // Wire up detail field changes
-  document.getElementById('app').addEventListener('input', (e) => {
-    if (e.target.dataset.detail || e.target.closest('[data-detail]')) {
-      updateEncoded()
-    }
-  })
-  document.getElementById('app').addEventListener('change', (e) => {
-    if (e.target.dataset.detail || e.target.closest('[data-detail]')) {
-      updateEncoded()
-    }
+  initDraftsMenu(
+    (draft) => renderCreator(draft.data, draft.id),
+    () => renderCreator()
+  )
+
+  document.getElementById('btn-guided')?.addEventListener('click', () => {
+    renderQuestionnaire(
+      config,
+      (values) => renderCreator({ ...getExtensionFields(), ...values }),
+      () => renderCreator(initial, draftId)
+    )
   })
 
   // Initial encoding
   updateEncoded()
 }
 
+/** Incremented per update so a slow encode can't overwrite a newer one */
+let encodeSequence = 0
+
 /**
  * Build encoded string from current form state and update output panel
  */
-function updateEncoded() {
+async function updateEncoded() {
   const { stakes, autonomy } = getMatrixValues()
   const details = getDetailValues(config)
 
-  const data = { stakes, autonomy, ...details }
-  const encoded = encode(data, config)
+  // Fields the config doesn't define are kept as they were decoded
+  const data = canonicalize({ stakes, autonomy, ...details, ...getExtensionFields() }, config)
+  autosaveDraft(data)
+  updatePolicyWarnings(data, config)
+  updateBannerScore(getScore(data, config), config)
+
+  const sequence = ++encodeSequence
+  const encoded = await encodeAsync(data, config)
+  const compact = await encodeAsync(data, config, { compact: true })
+  if (sequence !== encodeSequence) return
 
-  updateOutputValues(encoded, config)
+  updateOutputValues(encoded, config, compact)
 }
 
 /**
  * Handle edit button click from viewer
  * @param {string} encoded - Encoded statement to edit
  */
-function handleEdit(encoded) {
-  const data = decode(encoded)
+async function handleEdit(encoded) {
+  const data = await decodeWithOrigin(encoded)
   if (!data) return
 
   history.pushState(null, '', window.location.pathname)
@@ -130,6 +260,29 @@ function handleEdit(encoded) {
   })
 }
 
+/**
+ * Handle upgrade button click from the legacy viewer
+ * @param {string} encoded - Legacy encoded statement
+ */
+async function handleUpgrade(encoded) {
+  const data = await decodeWithOrigin(encoded)
+  if (!data) return
+
+  history.pushState(null, '', window.location.pathname)
+  renderCreator(migrate(data, data._v, config))
+}
+
+/**
+ * Decode a statement with its origin's config, as the viewer showed it, so
+ * compact tokens and fields from other origins are read correctly
+ * @param {string} encoded
+ * @returns {Promise<Object|null>}
+ */
+async function decodeWithOrigin(encoded) {
+  const origin = await loadOriginConfig(decode(encoded)?._o, config)
+  return decodeAsync(encoded, origin.config).catch(() => null)
+}
+
 /**
  * Handle new statement button click
  */
@@ -144,11 +297,26 @@ function handleNew() {
 function submitStatement() {
   const output = document.getElementById('output-statement')
   if (output?.value) {
+    closeDraft()
     history.pushState(null, '', `#${output.value}`)
     route()
   }
 }
 
+/**
+ * Re-encode on detail field changes; delegated from #app, which outlives every
+ * creator render, so this is wired up once
+ */
+function initDetailListeners() {
+  const onChange = (e) => {
+    if (e.target.dataset.detail || e.target.closest('[data-detail]')) {
+      updateEncoded()
+    }
+  }
+  document.getElementById('app').addEventListener('input', onChange)
+  document.getElementById('app').addEventListener('change', onChange)
+}
+
 /**
  * Initialize keyboard shortcuts
  */
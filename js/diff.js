@@ -0,0 +1,168 @@
+/**
+ * Diff Module
+ * #diff/<a>|<b>: both statements on one matrix, changed fields highlighted
+ */
+
+import { getLabels } from '../config.js'
+import { getDotPosition, gridStyle, renderQuadrantLabels } from './matrix.js'
+import { escapeHtml } from './html.js'
+
+/**
+ * Split a `diff/<a>|<b>` hash into its two statements
+ * @param {string} hash - Hash from parseUrl
+ * @returns {[string, string]|null} null when the hash is not a diff
+ */
+export function parseDiffHash(hash) {
+  if (!hash?.startsWith('diff/')) return null
+  // Browsers may percent-encode the separator; statements never contain `%`
+  let parts
+  try {
+    parts = decodeURIComponent(hash.slice(5)).split('|')
+  } catch {
+    return null
+  }
+  return parts.length === 2 && parts[0] && parts[1] ? parts : null
+}
+
+/**
+ * Render the banner: the quadrant, or the move between quadrants
+ * @param {Object} diff - From diffStatements
+ * @param {Object} config
+ * @returns {string} HTML
+ */
+function renderDiffBanner(diff, config) {
+  const labels = getLabels(config)
+  const { before, after, changed } = diff.quadrant
+  const text = changed
+    ? (labels.diffQuadrant || '{from} → {to}')
+        .replace('{from}', `<strong style="color: #${before.color}">${escapeHtml(before.label)}</strong>`)
+        .replace('{to}', `<strong style="color: #${after.color}">${escapeHtml(after.label)}</strong>`)
+    : escapeHtml(after.label)
+  const score = diff.score
+    ? `<span class="quadrant-score">${labels.score} ${diff.score.before === diff.score.after
+      ? diff.score.after
+      : `${diff.score.before} → ${diff.score.after}`}/100</span>`
+    : ''
+
+  return `
+    <div class="viewer-quadrant-banner${changed ? ' diff-banner--changed' : ''}" style="--banner-color: #${after.color}">
+      <span class="quadrant-dot" style="background: #${after.color}"></span>
+      <span class="quadrant-name">${text}</span>
+      ${score}
+    </div>
+  `
+}
+
+/**
+ * Render the matrix with a dot for each statement and an arrow between them
+ * @param {Object} diff - From diffStatements
+ * @param {Object} config
+ * @returns {string} HTML
+ */
+function renderDiffMatrix(diff, config) {
+  const labels = getLabels(config)
+  const axis = (key) => diff.fields.find((f) => f.key === key)
+  const stakes = axis('stakes')
+  const autonomy = axis('autonomy')
+  const from = getDotPosition(stakes.before, autonomy.before, config)
+  const to = getDotPosition(stakes.after, autonomy.after, config)
+  const { before, after } = diff.quadrant
+
+  return `
+    <div class="viewer-matrix-readonly">
+      <div class="viewer-matrix-grid" style="${gridStyle(config)}">
+        <svg class="diff-arrow" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+          <line x1="${from.xPct}" y1="${from.yPct}" x2="${to.xPct}" y2="${to.yPct}" />
+        </svg>
+        <div class="matrix-dot matrix-dot--before" style="left: ${from.xPct}%; top: ${from.yPct}%; --dot-color: #${before.color}"
+             title="${escapeHtml(labels.diffBefore)}"></div>
+        <div class="matrix-dot" style="left: ${to.xPct}%; top: ${to.yPct}%; --dot-color: #${after.color}"
+             title="${escapeHtml(labels.diffAfter)}"></div>
+        ${renderQuadrantLabels(config, after.key)}
+      </div>
+
+      <div class="viewer-axis-values">
+        <div class="viewer-axis-item">
+          <span class="diff-legend diff-legend--before" style="--dot-color: #${before.color}"></span>
+          <span class="viewer-axis-label">${labels.diffBefore}</span>
+          <span class="viewer-axis-value">${escapeHtml(before.label)}</span>
+        </div>
+        <div class="viewer-axis-item">
+          <span class="diff-legend" style="--dot-color: #${after.color}"></span>
+          <span class="viewer-axis-label">${labels.diffAfter}</span>
+          <span class="viewer-axis-value">${escapeHtml(after.label)}</span>
+        </div>
+      </div>
+    </div>
+  `
+}
+
+/**
+ * Render the field table; unchanged fields that are unset on both sides are left out
+ * @param {Object} diff - From diffStatements
+ * @param {Object} config
+ * @returns {string} HTML
+ */
+function renderDiffFields(diff, config) {
+  const labels = getLabels(config)
+  const rows = diff.fields
+    .filter((f) => f.status !== 'unchanged' || f.afterLabel !== null)
+    .map((f) => {
+      const status = labels.diffStatus?.[f.status] || f.status
+      const flagChanges = f.type === 'flags' && f.status === 'changed'
+        ? `<span class="diff-flags">${[
+          ...f.added.map((v) => `<ins>+${escapeHtml(v)}</ins>`),
+          ...f.removed.map((v) => `<del>-${escapeHtml(v)}</del>`),
+        ].join(' ')}</span>`
+        : ''
+      return `
+        <tr class="diff-row diff-row--${f.status}">
+          <th scope="row">
+            ${escapeHtml(f.label)}
+            ${f.status === 'unchanged' ? '' : `<span class="diff-status">${escapeHtml(status)}</span>`}
+          </th>
+          <td>${f.beforeLabel === null ? '' : escapeHtml(f.beforeLabel)}</td>
+          <td>${f.afterLabel === null ? '' : escapeHtml(f.afterLabel)}${flagChanges}</td>
+        </tr>
+      `
+    })
+    .join('')
+
+  const summary = diff.changed ? '' : `<p class="policy-summary">${labels.diffNoChanges}</p>`
+
+  return `
+    <div class="viewer-details diff-fields">
+      <div class="viewer-section-title">${labels.diffChanges}</div>
+      ${summary}
+      <table class="diff-table">
+        <thead>
+          <tr><th scope="col">${labels.diffField}</th><th scope="col">${labels.diffBefore}</th><th scope="col">${labels.diffAfter}</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `
+}
+
+/**
+ * Render the diff view
+ * @param {Object} diff - From diffStatements
+ * @param {string} before - Earlier encoded statement
+ * @param {string} after - Later encoded statement
+ * @param {Object} config - App configuration
+ */
+export function renderDiff(diff, before, after, config) {
+  const labels = getLabels(config)
+
+  document.getElementById('app').innerHTML = `
+    <div class="viewer diff">
+      ${renderDiffBanner(diff, config)}
+      ${renderDiffMatrix(diff, config)}
+      ${renderDiffFields(diff, config)}
+    </div>
+    <div class="viewer-actions">
+      <a class="btn btn-secondary" href="#${escapeHtml(before)}">${labels.diffOpenBefore}</a>
+      <a class="btn btn-primary" href="#${escapeHtml(after)}">${labels.diffOpenAfter}</a>
+    </div>
+  `
+}
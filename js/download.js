@@ -0,0 +1,19 @@
+/**
+ * Download Module
+ * Saves generated text (badge SVG, library export) as a file
+ */
+
+/**
+ * Offer text as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(new Blob([content], { type }))
+  link.download = filename
+  link.click()
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
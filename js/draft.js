@@ -0,0 +1,245 @@
+/**
+ * Draft Module
+ * localStorage persistence for creator drafts: autosave, restore, named drafts
+ */
+
+import { getStorageKey } from '../config.js'
+import { escapeHtml } from './html.js'
+
+/** @type {Object|null} */
+let currentConfig = null
+
+/** Draft the creator is currently editing (null until the first real change) */
+let currentId = null
+
+/** Serialized values of the first update after render, to skip saving untouched forms */
+let baseline = null
+
+/**
+ * Get the storage key for drafts
+ * @returns {string}
+ */
+function getDraftsKey() {
+  return getStorageKey(currentConfig, 'drafts')
+}
+
+/**
+ * Read all drafts from storage
+ * @returns {{ activeId: string|null, drafts: Array<{ id: string, name: string, data: Object, updated: number }> }}
+ */
+function readStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(getDraftsKey()))
+    if (store && Array.isArray(store.drafts)) return store
+  } catch {
+    // Corrupt or missing: start over
+  }
+  return { activeId: null, drafts: [] }
+}
+
+/**
+ * Write all drafts to storage
+ * @param {Object} store
+ */
+function writeStore(store) {
+  localStorage.setItem(getDraftsKey(), JSON.stringify(store))
+}
+
+/**
+ * Initialize drafts
+ * @param {Object} config - App configuration
+ */
+export function initDrafts(config) {
+  currentConfig = config
+}
+
+/**
+ * All drafts, most recently edited first
+ * @returns {Array<{ id: string, name: string, data: Object, updated: number }>}
+ */
+export function listDrafts() {
+  return readStore().drafts.sort((a, b) => b.updated - a.updated)
+}
+
+/**
+ * Get a draft by id
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getDraft(id) {
+  return readStore().drafts.find((d) => d.id === id)
+}
+
+/**
+ * The draft that was being edited when the page was last closed
+ * @returns {Object|undefined}
+ */
+export function getActiveDraft() {
+  const store = readStore()
+  return store.drafts.find((d) => d.id === store.activeId)
+}
+
+/**
+ * Start editing a draft in the creator
+ * @param {string|null} id - Existing draft id, or null for a new, unsaved draft
+ */
+export function startDraft(id = null) {
+  currentId = id
+  baseline = null
+}
+
+/**
+ * Save the creator's current values into the current draft
+ *
+ * A new draft is only created once the values differ from what the form
+ * showed when it was rendered, so opening the creator doesn't add drafts.
+ * @param {Object} data - Current statement values
+ */
+export function autosaveDraft(data) {
+  const json = JSON.stringify(data)
+  if (baseline === null) {
+    baseline = json
+    if (currentId === null) return
+  }
+  if (currentId === null && json === baseline) return
+
+  const store = readStore()
+  let draft = store.drafts.find((d) => d.id === currentId)
+  if (!draft) {
+    const template = currentConfig.ui.labels.draftName || 'Draft {n}'
+    draft = {
+      id: currentId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: template.replace('{n}', store.drafts.length + 1),
+    }
+    store.drafts.push(draft)
+    currentId = draft.id
+  }
+  draft.data = data
+  draft.updated = Date.now()
+  store.activeId = draft.id
+  writeStore(store)
+  refreshDraftsMenu()
+}
+
+/**
+ * Stop offering the current draft for restore (it stays in the drafts menu)
+ */
+export function closeDraft() {
+  const store = readStore()
+  if (store.activeId === currentId) {
+    store.activeId = null
+    writeStore(store)
+  }
+}
+
+/**
+ * Rename a draft
+ * @param {string} id
+ * @param {string} name
+ */
+export function renameDraft(id, name) {
+  const store = readStore()
+  const draft = store.drafts.find((d) => d.id === id)
+  if (!draft || !name.trim()) return
+  draft.name = name.trim()
+  writeStore(store)
+}
+
+/**
+ * Delete a draft
+ * @param {string} id
+ */
+export function deleteDraft(id) {
+  const store = readStore()
+  store.drafts = store.drafts.filter((d) => d.id !== id)
+  if (store.activeId === id) store.activeId = null
+  if (currentId === id) currentId = null
+  writeStore(store)
+}
+
+/**
+ * Render the drafts menu container (filled by refreshDraftsMenu)
+ * @returns {string} HTML
+ */
+export function renderDraftsMenu() {
+  return '<div class="drafts-menu" id="drafts-menu"></div>'
+}
+
+/**
+ * Re-render the drafts menu from storage
+ */
+export function refreshDraftsMenu() {
+  const el = document.getElementById('drafts-menu')
+  if (!el) return
+
+  const labels = currentConfig.ui.labels
+  const drafts = listDrafts()
+  const current = drafts.find((d) => d.id === currentId)
+  const wasOpen = el.querySelector('details')?.open ? ' open' : ''
+
+  const rows = drafts
+    .map((d) => {
+      const active = d.id === currentId ? ' drafts-item--active' : ''
+      const time = new Date(d.updated).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+      return `
+        <li class="drafts-item${active}">
+          <button type="button" class="drafts-open" data-draft-open="${d.id}">
+            <span class="drafts-name">${escapeHtml(d.name)}</span>
+            <span class="drafts-time">${time}</span>
+          </button>
+          <button type="button" class="btn-copy" data-draft-rename="${d.id}">${labels.rename}</button>
+          <button type="button" class="btn-copy" data-draft-delete="${d.id}">${labels.delete}</button>
+        </li>
+      `
+    })
+    .join('')
+
+  el.innerHTML = `
+    <details${wasOpen}>
+      <summary class="drafts-toggle">
+        ${labels.drafts}${current ? `: ${escapeHtml(current.name)}` : ''} (${drafts.length})
+      </summary>
+      <div class="drafts-panel">
+        ${rows ? `<ul class="drafts-list">${rows}</ul>` : ''}
+        <button type="button" class="btn btn-secondary" data-draft-new>${labels.newDraft}</button>
+      </div>
+    </details>
+  `
+}
+
+/**
+ * Render the drafts menu and wire up its buttons
+ * @param {Function} onOpen - Called with a draft to load it into the creator
+ * @param {Function} onNew - Called to start an empty draft
+ */
+export function initDraftsMenu(onOpen, onNew) {
+  const el = document.getElementById('drafts-menu')
+  if (!el) return
+  refreshDraftsMenu()
+
+  el.addEventListener('click', (e) => {
+    const labels = currentConfig.ui.labels
+    const target = e.target.closest('button')
+    if (!target) return
+
+    if (target.dataset.draftOpen) {
+      const draft = getDraft(target.dataset.draftOpen)
+      if (draft) onOpen(draft)
+    } else if (target.dataset.draftRename) {
+      const draft = getDraft(target.dataset.draftRename)
+      const name = draft && window.prompt(labels.renamePrompt, draft.name)
+      if (name) {
+        renameDraft(draft.id, name)
+        refreshDraftsMenu()
+      }
+    } else if (target.dataset.draftDelete) {
+      const draft = getDraft(target.dataset.draftDelete)
+      if (draft && window.confirm(labels.deletePrompt.replace('{name}', draft.name))) {
+        deleteDraft(draft.id)
+        refreshDraftsMenu()
+      }
+    } else if ('draftNew' in target.dataset) {
+      onNew()
+    }
+  })
+}
@@ -0,0 +1,95 @@
+/**
+ * Extensions Module
+ * Keeps fields the config doesn't define (`x-` extensions, newer-schema and
+ * nested keys) through the creator: shown read-only, removable, re-encoded
+ */
+
+import { getExtraFields } from '../config.js'
+import { flattenFields } from '../core.js'
+import { escapeHtml } from './html.js'
+
+/** Extra fields of the statement being edited, nested as decoded */
+let extraFields = {}
+
+/**
+ * Remove a dotted key, dropping parents it leaves empty
+ * @param {Object} obj
+ * @param {string[]} path
+ */
+function removePath(obj, path) {
+  const [head, ...rest] = path
+  if (!rest.length) {
+    delete obj[head]
+    return
+  }
+  const child = obj[head]
+  if (!child || typeof child !== 'object') return
+  removePath(child, rest)
+  if (!Object.keys(child).length) delete obj[head]
+}
+
+/**
+ * Take the extra fields from the creator's initial values
+ * @param {Object} initial - Creator initial values (decoded statement, draft or migration)
+ * @param {Object} config - App configuration
+ */
+export function setExtensionFields(initial, config) {
+  extraFields = structuredClone(getExtraFields(initial, config))
+}
+
+/**
+ * Current extra fields, to merge into the encoded statement
+ * @returns {Object}
+ */
+export function getExtensionFields() {
+  return extraFields
+}
+
+/**
+ * Render the read-only extra fields list
+ * @param {Object} config - App configuration
+ * @returns {string} HTML (empty when there are none)
+ */
+export function renderExtensionFields(config) {
+  const labels = config.ui.labels
+  const fields = flattenFields(extraFields)
+  if (!fields.length) return '<div class="extension-fields" id="extension-fields" hidden></div>'
+
+  const rows = fields
+    .map(([key, value]) => {
+      const display = Array.isArray(value) ? value.join(', ') : value
+      return `
+        <li class="extension-item">
+          <code class="extension-key">${escapeHtml(key)}</code>
+          <span class="extension-value">${escapeHtml(display)}</span>
+          <button type="button" class="btn-copy" data-extension-remove="${escapeHtml(key)}"
+                  aria-label="${escapeHtml(`${labels.remove} ${key}`)}">${labels.remove}</button>
+        </li>
+      `
+    })
+    .join('')
+
+  return `
+    <div class="extension-fields" id="extension-fields">
+      <div class="field-label">${labels.otherFields}</div>
+      <p class="field-description">${labels.otherFieldsHint}</p>
+      <ul class="extension-list">${rows}</ul>
+    </div>
+  `
+}
+
+/**
+ * Wire up the remove buttons
+ * @param {Object} config - App configuration
+ * @param {Function} onChange - Called after a field is removed
+ */
+export function initExtensionFields(config, onChange) {
+  document.getElementById('extension-fields')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-extension-remove]')
+    if (!button) return
+    removePath(extraFields, button.dataset.extensionRemove.split('.'))
+    document.getElementById('extension-fields').outerHTML = renderExtensionFields(config)
+    initExtensionFields(config, onChange)
+    onChange()
+  })
+}
@@ -0,0 +1,18 @@
+/**
+ * HTML Module
+ * Escaping for text inserted into innerHTML templates
+ */
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} str - Text (converted with String)
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
@@ -0,0 +1,357 @@
+/**
+ * Library Module
+ * Local history of created and viewed statements, with search and JSON export/import
+ */
+
+import { getStorageKey, getStatementQuadrant, getLabel, migrateToCurrent, toList } from '../config.js'
+import { decodeAsync } from '../core.js'
+import { showToast } from './toast.js'
+import { escapeHtml } from './html.js'
+import { downloadFile } from './download.js'
+
+const EXPORT_FORMAT = 'coauthored-library'
+
+/** @type {Object|null} */
+let currentConfig = null
+
+/**
+ * Get the storage key for the library
+ * @returns {string}
+ */
+function getLibraryKey() {
+  return getStorageKey(currentConfig, 'library')
+}
+
+/**
+ * Read library entries from storage
+ * @returns {Array<{ statement: string, title: string, quadrant: string|null, quadrantLabel?: string,
+ *   quadrantColor?: string, data: Object, created: number, viewed: number }>} The quadrant
+ *   label and colour come from the config the statement was decoded with
+ */
+function readEntries() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(getLibraryKey()))
+    if (Array.isArray(entries)) return entries
+  } catch {
+    // Corrupt or missing: start over
+  }
+  return []
+}
+
+/**
+ * Write library entries to storage
+ * @param {Array<Object>} entries
+ */
+function writeEntries(entries) {
+  localStorage.setItem(getLibraryKey(), JSON.stringify(entries))
+}
+
+/**
+ * Initialize the library
+ * @param {Object} config - App configuration
+ */
+export function initLibrary(config) {
+  currentConfig = config
+}
+
+/**
+ * Quadrant key, label and colour to store with an entry, so statements from
+ * other origins keep their own labels in the list
+ * @param {Object} data - Statement in the current format
+ * @param {Object} config - Config the statement was decoded with
+ * @returns {{ quadrant: string|null, quadrantLabel: string|null, quadrantColor: string|null }}
+ */
+function quadrantFields(data, config) {
+  const q = getStatementQuadrant(data, config)
+  return { quadrant: q?.key ?? null, quadrantLabel: q?.label ?? null, quadrantColor: q?.color ?? null }
+}
+
+/**
+ * Add a statement to the library, or mark an existing one as viewed again
+ * @param {string} encoded - Encoded statement
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Config the statement was decoded with
+ * @returns {Object} The library entry
+ */
+export function recordStatement(encoded, data, config) {
+  const entries = readEntries()
+  const now = Date.now()
+  const current = migrateToCurrent(data, config)
+  let entry = entries.find((e) => e.statement === encoded)
+
+  if (!entry) {
+    entry = { statement: encoded, title: '', created: now }
+    entries.push(entry)
+  }
+  entry.data = current
+  Object.assign(entry, quadrantFields(current, config))
+  entry.viewed = now
+  writeEntries(entries)
+  return entry
+}
+
+/**
+ * Get the library entry for a statement
+ * @param {string} encoded
+ * @returns {Object|undefined}
+ */
+export function getEntry(encoded) {
+  return readEntries().find((e) => e.statement === encoded)
+}
+
+/**
+ * Set a statement's title
+ * @param {string} encoded
+ * @param {string} title
+ */
+export function setTitle(encoded, title) {
+  const entries = readEntries()
+  const entry = entries.find((e) => e.statement === encoded)
+  if (!entry) return
+  entry.title = title.trim()
+  writeEntries(entries)
+}
+
+/**
+ * Remove a statement from the library
+ * @param {string} encoded
+ */
+export function removeEntry(encoded) {
+  writeEntries(readEntries().filter((e) => e.statement !== encoded))
+}
+
+/**
+ * Serialize the library for export
+ * @returns {string} JSON
+ */
+export function exportLibrary() {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, entries: readEntries() }, null, 2)
+}
+
+/**
+ * Merge an exported library into this one
+ *
+ * Statements are decoded again rather than trusting the file's data; for
+ * statements already here, the newer view wins and a missing title is filled in.
+ * @param {string} json - Contents of an exported file
+ * @param {Object} config - App configuration
+ * @returns {Promise<number>} Number of entries added or updated
+ * @throws {Error} If the file is not a library export
+ */
+export async function importLibrary(json, config) {
+  const parsed = JSON.parse(json)
+  if (parsed?.format !== EXPORT_FORMAT || !Array.isArray(parsed.entries)) {
+    throw new Error('Not a library export')
+  }
+
+  const entries = readEntries()
+  let count = 0
+  for (const incoming of parsed.entries) {
+    if (typeof incoming?.statement !== 'string') continue
+    const data = await decodeAsync(incoming.statement, config).catch(() => null)
+    if (!data) continue
+
+    const current = migrateToCurrent(data, config)
+    const existing = entries.find((e) => e.statement === incoming.statement)
+    const viewed = Number(incoming.viewed) || Date.now()
+    if (existing) {
+      if (!existing.title && incoming.title) existing.title = String(incoming.title)
+      existing.viewed = Math.max(existing.viewed, viewed)
+    } else {
+      entries.push({
+        statement: incoming.statement,
+        title: String(incoming.title || ''),
+        ...quadrantFields(current, config),
+        data: current,
+        created: Number(incoming.created) || viewed,
+        viewed,
+      })
+    }
+    count++
+  }
+  writeEntries(entries)
+  return count
+}
+
+/**
+ * Render the viewer's library bar: title field and link to the library
+ * @param {Object} entry - Library entry for the statement being viewed
+ * @param {Object} config - App configuration
+ * @returns {string} HTML
+ */
+export function renderLibraryBar(entry, config) {
+  const labels = config.ui.labels
+  return `
+    <div class="library-bar">
+      <label class="library-bar-label" for="library-title">${labels.libraryTitle}</label>
+      <input type="text" id="library-title" value="${escapeHtml(entry?.title || '')}"
+             placeholder="${escapeHtml(labels.libraryTitlePlaceholder)}">
+      <a href="#library" class="btn btn-secondary">${labels.library}</a>
+    </div>
+  `
+}
+
+/**
+ * Save the title as the user types in the viewer's library bar
+ * @param {string} encoded - Statement being viewed
+ */
+export function initLibraryBar(encoded) {
+  document.getElementById('library-title')?.addEventListener('input', (e) => {
+    setTitle(encoded, e.target.value)
+  })
+}
+
+/**
+ * Render a filter select
+ * @param {string} id - Filter name
+ * @param {string} label - Visible label
+ * @param {Array<{ value: string, label: string }>} options
+ * @param {string} allLabel - Label for "no filter"
+ * @returns {string} HTML
+ */
+function renderFilter(id, label, options, allLabel) {
+  if (!options.length) return ''
+  const items = options
+    .map((o) => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+    .join('')
+  return `
+    <label class="library-filter">
+      <span class="field-label">${escapeHtml(label)}</span>
+      <select data-filter="${id}"><option value="">${escapeHtml(allLabel)}</option>${items}</select>
+    </label>
+  `
+}
+
+/**
+ * Whether an entry matches the search text and filters
+ * @param {Object} entry
+ * @param {string} search - Lowercased search text
+ * @param {Object<string, string>} filters - Filter name → value ('' for any)
+ * @returns {boolean}
+ */
+function matchesFilters(entry, search, filters) {
+  const data = entry.data || {}
+  if (filters.quadrant && entry.quadrant !== filters.quadrant) return false
+  if (filters.scope && data.scope !== filters.scope) return false
+  if (filters.tools && String(data.tools || '') !== filters.tools) return false
+  if (filters.watch && !toList(data.watch).includes(filters.watch)) return false
+  if (!search) return true
+  const haystack = [entry.title, data.tools, data.notes, entry.statement].join(' ').toLowerCase()
+  return haystack.includes(search)
+}
+
+/**
+ * Render the list of library entries
+ * @param {Array<Object>} entries - Entries to show, newest first
+ * @param {Object} config - App configuration
+ * @returns {string} HTML
+ */
+function renderEntries(entries, config) {
+  const labels = config.ui.labels
+  if (!entries.length) return `<p class="library-empty">${labels.libraryEmpty}</p>`
+
+  return `
+    <ul class="library-list">
+      ${entries
+        .map((e) => {
+          // Entries saved before labels were stored fall back to the local config
+          const label = e.quadrantLabel ?? config.quadrants[e.quadrant]?.label
+          const color = e.quadrantColor ?? config.quadrants[e.quadrant]?.color
+          const scope = e.data?.scope ? getLabel('scope', e.data.scope, config) : ''
+          const time = new Date(e.viewed).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+          const meta = [label, scope, e.data?.tools, time].filter(Boolean).map(escapeHtml).join(' · ')
+          return `
+            <li class="library-item" style="--item-color: #${escapeHtml(color || '888888')}">
+              <a class="library-open" href="#${escapeHtml(e.statement)}">
+                <span class="library-title">${escapeHtml(e.title || labels.libraryUntitled)}</span>
+                <span class="library-meta">${meta}</span>
+              </a>
+              <button type="button" class="btn-copy" data-library-remove="${escapeHtml(e.statement)}">${labels.delete}</button>
+            </li>
+          `
+        })
+        .join('')}
+    </ul>
+  `
+}
+
+/**
+ * Render the #library page
+ * @param {Object} config - App configuration
+ */
+export function renderLibrary(config) {
+  const labels = config.ui.labels
+  const entries = readEntries()
+
+  const quadrantOptions = Object.entries(config.quadrants).map(([value, q]) => ({ value, label: q.label }))
+  const valueOptions = (key) =>
+    (config.details[key]?.values || []).map((v) => ({ value: v.value, label: v.label }))
+  const toolOptions = [...new Set(entries.map((e) => e.data?.tools).filter(Boolean).map(String))]
+    .sort()
+    .map((t) => ({ value: t, label: t }))
+
+  document.getElementById('app').innerHTML = `
+    <div class="library">
+      <div class="library-header">
+        <h2 class="questionnaire-title">${labels.library}</h2>
+        <div class="library-actions">
+          <button type="button" class="btn btn-secondary" id="btn-library-export">${labels.libraryExport}</button>
+          <label class="btn btn-secondary" for="library-import">${labels.libraryImport}</label>
+          <input type="file" id="library-import" accept="application/json,.json" hidden>
+        </div>
+      </div>
+      <div class="library-filters">
+        <label class="library-filter library-filter--search">
+          <span class="field-label">${labels.librarySearch}</span>
+          <input type="text" data-filter="search" placeholder="${escapeHtml(labels.librarySearchPlaceholder)}">
+        </label>
+        ${renderFilter('quadrant', labels.libraryQuadrant, quadrantOptions, labels.libraryAll)}
+        ${config.details.scope ? renderFilter('scope', config.details.scope.label, valueOptions('scope'), labels.libraryAll) : ''}
+        ${config.details.tools ? renderFilter('tools', config.details.tools.label, toolOptions, labels.libraryAll) : ''}
+        ${config.details.watch ? renderFilter('watch', config.details.watch.label, valueOptions('watch'), labels.libraryAll) : ''}
+      </div>
+      <div id="library-results"></div>
+    </div>
+  `
+
+  const update = () => {
+    const filters = {}
+    document.querySelectorAll('[data-filter]').forEach((el) => {
+      filters[el.dataset.filter] = el.value
+    })
+    const search = (filters.search || '').trim().toLowerCase()
+    const shown = readEntries()
+      .filter((e) => matchesFilters(e, search, filters))
+      .sort((a, b) => b.viewed - a.viewed)
+    document.getElementById('library-results').innerHTML = renderEntries(shown, config)
+  }
+
+  const page = document.querySelector('.library')
+  page.addEventListener('input', (e) => {
+    if (e.target.dataset.filter) update()
+  })
+  page.addEventListener('click', (e) => {
+    const remove = e.target.closest('[data-library-remove]')
+    if (!remove) return
+    removeEntry(remove.dataset.libraryRemove)
+    update()
+  })
+
+  document.getElementById('btn-library-export')?.addEventListener('click', () => {
+    downloadFile(exportLibrary(), 'coauthored-library.json', 'application/json')
+  })
+
+  document.getElementById('library-import')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      const count = await importLibrary(await file.text(), config)
+      showToast(labels.libraryImported.replace('{count}', count))
+      renderLibrary(config)
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  })
+
+  update()
+}
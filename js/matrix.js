@@ -1,6 +1,7 @@
 /**
  * Matrix Module
- * 5x5 risk matrix grid with sliders, dot positioning, and quadrant detection
+ * Risk matrix grid with sliders, dot positioning, and quadrant detection
+ * Grid size, ranges and regions all come from config.axes and config.quadrants
  * Fully accessible with ARIA support for screen readers
  */
 
@@ -27,11 +28,11 @@ export function renderMatrix(config, initial = {}, onChange) {
 
       <div class="matrix-container">
         <div class="matrix-y-label" aria-hidden="true">${autonomyAxis.label}</div>
-        <div class="matrix-grid" id="matrix-grid"
+        <div class="matrix-grid" id="matrix-grid" style="${gridStyle(config)}"
              role="img"
              aria-label="Risk matrix visualization showing ${initialQuadrant.label}. Use the sliders below to adjust stakes and AI autonomy levels."
              tabindex="0">
-          ${renderQuadrantLabels(config)}
+          ${renderQuadrantLabels(config, initialQuadrant.key)}
           <div class="matrix-dot" id="matrix-dot" aria-hidden="true"></div>
           <div class="matrix-crosshair-h" id="crosshair-h" aria-hidden="true"></div>
           <div class="matrix-crosshair-v" id="crosshair-v" aria-hidden="true"></div>
@@ -79,23 +80,96 @@ export function renderMatrix(config, initial = {}, onChange) {
 }
 
 /**
- * Render quadrant label overlays for the grid
+ * Convert an axis value to a 0-100% position along that axis
+ * @param {number} value - Axis value
+ * @param {Object} axis - Axis config with min/max
+ * @returns {number} Percentage
+ */
+export function axisToPercent(value, axis) {
+  const span = axis.max - axis.min
+  if (span <= 0) return 50
+  return ((value - axis.min) / span) * 100
+}
+
+/**
+ * Convert a 0-1 fraction along an axis to the nearest valid axis value
+ * @param {number} fraction - Position from 0 (min) to 1 (max)
+ * @param {Object} axis - Axis config with min/max
+ * @returns {number} Axis value
+ */
+export function fractionToAxis(fraction, axis) {
+  return clampAxis(Math.round(axis.min + fraction * (axis.max - axis.min)), axis)
+}
+
+/**
+ * Clamp a value into an axis range
+ * @param {number} value
+ * @param {Object} axis - Axis config with min/max
+ * @returns {number}
+ */
+export function clampAxis(value, axis) {
+  return Math.max(axis.min, Math.min(axis.max, value))
+}
+
+/**
+ * Get dot position for a (stakes, autonomy) pair
+ * @param {number} stakes
+ * @param {number} autonomy
  * @param {Object} config
- * @returns {string} HTML
+ * @returns {{ xPct: number, yPct: number }} Left/top percentages
  */
-function renderQuadrantLabels(config) {
-  const positions = {
-    vibe: 'top-left',
-    inspection: 'top-right',
-    handcrafted: 'bottom-left',
-    professional: 'bottom-right',
-    collaborative: 'center',
+export function getDotPosition(stakes, autonomy, config) {
+  return {
+    xPct: axisToPercent(stakes, config.axes.stakes),
+    yPct: 100 - axisToPercent(autonomy, config.axes.autonomy),
   }
+}
+
+/**
+ * Inline style for a grid: cell size for the grid lines and a colour zone per quadrant
+ * @param {Object} config
+ * @returns {string} CSS declarations
+ */
+export function gridStyle(config) {
+  const { stakes, autonomy } = config.axes
+  const zones = Object.values(config.quadrants)
+    .map((q) => {
+      const { xPct, yPct } = quadrantCenter(q, config)
+      return `radial-gradient(ellipse at ${xPct}% ${yPct}%, #${q.color}1f 0%, transparent 50%)`
+    })
+    .join(', ')
+
+  return [
+    `--grid-x: ${100 / Math.max(1, stakes.max - stakes.min)}%`,
+    `--grid-y: ${100 / Math.max(1, autonomy.max - autonomy.min)}%`,
+    `--zones: ${zones}`,
+  ].join('; ')
+}
+
+/**
+ * Centre of a quadrant's stakes/autonomy ranges as grid percentages
+ */
+function quadrantCenter(q, config) {
+  const stakes = (q.stakes[0] + q.stakes[1]) / 2
+  const autonomy = (q.autonomy[0] + q.autonomy[1]) / 2
+  return getDotPosition(stakes, autonomy, config)
+}
 
+/**
+ * Render quadrant label overlays for the grid, placed at each quadrant's centre
+ * @param {Object} config
+ * @param {string} activeKey - Quadrant key to highlight
+ * @returns {string} HTML
+ */
+export function renderQuadrantLabels(config, activeKey = null) {
   return Object.entries(config.quadrants)
     .map(([key, q]) => {
-      const pos = positions[key] || 'center'
-      return `<div class="matrix-quadrant-label matrix-quadrant-label--${pos}" data-quadrant="${key}" aria-hidden="true">${q.label}</div>`
+      const { xPct, yPct } = quadrantCenter(q, config)
+      // Keep edge-aligned labels inside the grid
+      const left = Math.max(12, Math.min(88, xPct))
+      const top = Math.max(8, Math.min(92, yPct))
+      const active = key === activeKey ? ' active' : ''
+      return `<div class="matrix-quadrant-label${active}" data-quadrant="${key}" style="left: ${left}%; top: ${top}%; --label-color: #${q.color}" aria-hidden="true">${q.label}</div>`
     })
     .join('')
 }
@@ -160,11 +234,8 @@ export function initMatrix(config, initial = {}, onChange) {
     const x = (e.clientX - rect.left) / rect.width
     const y = (e.clientY - rect.top) / rect.height
 
-    const s = Math.round(x * 4 + 1)
-    const a = Math.round((1 - y) * 4 + 1)
-
-    stakesSlider.value = Math.max(1, Math.min(5, s))
-    autonomySlider.value = Math.max(1, Math.min(5, a))
+    stakesSlider.value = fractionToAxis(x, config.axes.stakes)
+    autonomySlider.value = fractionToAxis(1 - y, config.axes.autonomy)
     update(true)
 
     // Move focus to stakes slider for keyboard users
@@ -179,19 +250,19 @@ export function initMatrix(config, initial = {}, onChange) {
 
     switch (e.key) {
       case 'ArrowRight':
-        s = Math.min(5, s + 1)
+        s = clampAxis(s + 1, config.axes.stakes)
         handled = true
         break
       case 'ArrowLeft':
-        s = Math.max(1, s - 1)
+        s = clampAxis(s - 1, config.axes.stakes)
         handled = true
         break
       case 'ArrowUp':
-        a = Math.min(5, a + 1)
+        a = clampAxis(a + 1, config.axes.autonomy)
         handled = true
         break
       case 'ArrowDown':
-        a = Math.max(1, a - 1)
+        a = clampAxis(a - 1, config.axes.autonomy)
         handled = true
         break
     }
@@ -223,8 +294,8 @@ function announceToScreenReader(message) {
 
 /**
  * Position the dot and crosshairs on the grid
- * @param {number} stakes - 1-5
- * @param {number} autonomy - 1-5
+ * @param {number} stakes
+ * @param {number} autonomy
  * @param {Object} config
  */
 function positionDot(stakes, autonomy, config) {
@@ -233,9 +304,7 @@ function positionDot(stakes, autonomy, config) {
   const crossV = document.getElementById('crosshair-v')
   if (!dot) return
 
-  // Convert 1-5 to 0-100%
-  const xPct = ((stakes - 1) / 4) * 100
-  const yPct = ((5 - autonomy) / 4) * 100
+  const { xPct, yPct } = getDotPosition(stakes, autonomy, config)
 
   dot.style.left = `${xPct}%`
   dot.style.top = `${yPct}%`
@@ -274,6 +343,7 @@ function updateQuadrantBanner(stakes, autonomy, config) {
       <span class="quadrant-dot" style="background: #${q.color}" aria-hidden="true"></span>
       <span class="quadrant-name">${q.label}</span>
       <span class="quadrant-desc">${q.description}</span>
+      <span class="quadrant-score" id="quadrant-score" hidden></span>
     `
     banner.style.setProperty('--banner-color', `#${q.color}`)
   }
@@ -281,6 +351,18 @@ function updateQuadrantBanner(stakes, autonomy, config) {
   return q
 }
 
+/**
+ * Show the residual-risk score in the quadrant banner
+ * @param {number|null} score - From getScore (null hides it)
+ * @param {Object} config
+ */
+export function updateBannerScore(score, config) {
+  const el = document.getElementById('quadrant-score')
+  if (!el) return
+  el.hidden = score === null
+  if (score !== null) el.textContent = `${config.ui.labels.score} ${score}/100`
+}
+
 /**
  * Get current slider values from DOM
  * @returns {{ stakes: number, autonomy: number }}
@@ -3,24 +3,17 @@
  * Shared output panel with dynamic badge based on quadrant
  */
 
-import { getLabels, getBaseUrl, getBadgeServiceUrl, getQuadrant } from '../config.js'
-import { badgeUrl, badgeMarkdown, buildUrl, decode } from '../core.js'
+import { getLabels, getBaseUrl, getBadgeServiceUrl, getBadge } from '../config.js'
+import { badgeUrl, badgeSvg, badgeMarkdown, buildUrl, decode } from '../core.js'
 import { copyField } from './toast.js'
-
-/**
- * Escape HTML attribute value
- * @param {string} str
- * @returns {string}
- */
-function escapeAttr(str) {
-  return str.replace(/"/g, '&quot;').replace(/'/g, '&#39;')
-}
+import { escapeHtml } from './html.js'
+import { downloadFile } from './download.js'
 
 /**
  * Render a single output field row
  */
 function renderOutputField(id, label, value, copyLabel) {
-  const valueAttr = value ? ` value="${escapeAttr(value)}"` : ''
+  const valueAttr = value ? ` value="${escapeHtml(value)}"` : ''
   const labelHtml = label ? `<span class="output-label">${label}</span>` : ''
   return `
     <div class="output-field">
@@ -33,6 +26,21 @@ function renderOutputField(id, label, value, copyLabel) {
   `
 }
 
+/**
+ * Render the SVG download row
+ */
+function renderDownloadField(label, buttonLabel, text, color) {
+  return `
+    <div class="output-field">
+      <span class="output-label">${label}</span>
+      <div class="output-row">
+        <button type="button" class="btn-download" id="btn-download-svg"
+                data-badge-text="${escapeHtml(text)}" data-badge-color="${color}">${buttonLabel}</button>
+      </div>
+    </div>
+  `
+}
+
 /**
  * Render the output panel
  * @param {Object} config - App configuration
@@ -46,7 +54,10 @@ export function renderOutputPanel(config, options = {}) {
     badgeHtml = '<div id="output-badge"></div>',
     encoded = '',
     url = '',
+    compactUrl = '',
     markdown = '',
+    badgeText = 'AI Coauthored',
+    badgeColor = '58a6ff',
   } = options
 
   return `
@@ -57,7 +68,9 @@ export function renderOutputPanel(config, options = {}) {
       </div>
       ${renderOutputField('output-statement', '', encoded, labels.copy)}
       ${renderOutputField('output-url', labels.url, url, labels.copy)}
+      ${renderOutputField('output-url-compact', labels.urlCompact, compactUrl, labels.copy)}
       ${renderOutputField('output-markdown', labels.markdown, markdown, labels.copy)}
+      ${renderDownloadField(labels.svg, labels.downloadSvg, badgeText, badgeColor)}
     </section>
   `
 }
@@ -66,39 +79,37 @@ export function renderOutputPanel(config, options = {}) {
  * Update output panel values live (called from app.js on each change)
  * @param {string} encoded - New encoded string
  * @param {Object} config - App configuration
+ * @param {string} compact - Same statement in compact (v3) form
  */
-export function updateOutputValues(encoded, config) {
+export function updateOutputValues(encoded, config, compact = '') {
   const baseUrl = getBaseUrl()
   const badgeService = getBadgeServiceUrl(config)
   const fullUrl = `${baseUrl}/#${encoded}`
 
   // Determine badge from encoded data
-  const data = decode(encoded)
-  let badgeText = 'AI Coauthored'
-  let badgeColor = '58a6ff'
-
-  if (data && data._v === 2) {
-    const q = getQuadrant(data.stakes || 3, data.autonomy || 3, config)
-    if (q) {
-      badgeText = q.label
-      badgeColor = q.color
-    }
-  }
+  const { text: badgeText, color: badgeColor } = getBadge(decode(encoded, config), config)
 
   const markdown = badgeMarkdown(encoded, badgeText, badgeColor, baseUrl, badgeService)
 
   // Update DOM
   const stmtEl = document.getElementById('output-statement')
   const urlEl = document.getElementById('output-url')
+  const compactUrlEl = document.getElementById('output-url-compact')
   const mdEl = document.getElementById('output-markdown')
   const badgeContainer = document.getElementById('output-badge-container')
 
   if (stmtEl) stmtEl.value = encoded
   if (urlEl) urlEl.value = fullUrl
+  if (compactUrlEl) compactUrlEl.value = compact ? `${baseUrl}/#${compact}` : ''
   if (mdEl) mdEl.value = markdown
   if (badgeContainer) {
     badgeContainer.innerHTML = `<img src="${badgeUrl(badgeText, badgeColor, badgeService)}" alt="Badge">`
   }
+  const downloadBtn = document.getElementById('btn-download-svg')
+  if (downloadBtn) {
+    downloadBtn.dataset.badgeText = badgeText
+    downloadBtn.dataset.badgeColor = badgeColor
+  }
 
   // Rebind copy buttons
   document.querySelectorAll('.btn-copy').forEach((btn) => {
@@ -108,3 +119,17 @@ export function updateOutputValues(encoded, config) {
     btn.addEventListener('click', () => copyField(btn.dataset.copy))
   })
 }
+
+/**
+ * Wire up the "Download SVG" button (call once after rendering the panel)
+ */
+export function initBadgeDownload() {
+  const btn = document.getElementById('btn-download-svg')
+  if (!btn) return
+
+  btn.addEventListener('click', () => {
+    const { badgeText, badgeColor } = btn.dataset
+    const filename = `${badgeText.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.svg`
+    downloadFile(badgeSvg(badgeText, badgeColor), filename, 'image/svg+xml')
+  })
+}
@@ -0,0 +1,73 @@
+/**
+ * Policies Module
+ * Live policy warnings in the creator and the compliance panel in the viewer
+ */
+
+import { evaluatePolicies, getViolations } from '../policy.js'
+import { escapeHtml } from './html.js'
+
+/**
+ * Render a single policy result row
+ * @param {{ severity: string, message: string }} result
+ * @param {string} status - The severity, or "passed"
+ * @param {Object} config - App configuration
+ * @returns {string} HTML
+ */
+function renderPolicyItem(result, status, config) {
+  const label = config.ui.labels.policyStatus?.[status] || status
+  return `
+    <li class="policy-item policy-item--${status}">
+      <span class="policy-severity">${escapeHtml(label)}</span>
+      <span class="policy-message">${escapeHtml(result.message)}</span>
+    </li>
+  `
+}
+
+/**
+ * Render the creator's policy warnings container
+ * @returns {string} HTML
+ */
+export function renderPolicyWarnings() {
+  return '<div class="policy-warnings" id="policy-warnings" aria-live="polite"></div>'
+}
+
+/**
+ * Update the creator's policy warnings for the current form values
+ * @param {Object} data - Current statement values
+ * @param {Object} config - App configuration
+ */
+export function updatePolicyWarnings(data, config) {
+  const el = document.getElementById('policy-warnings')
+  if (!el) return
+
+  const violations = getViolations(data, config)
+  el.innerHTML = violations.length
+    ? `<ul class="policy-list">${violations.map((v) => renderPolicyItem(v, v.severity, config)).join('')}</ul>`
+    : ''
+}
+
+/**
+ * Render the viewer's compliance panel: every policy that applies, and
+ * whether the statement meets it
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - App configuration
+ * @returns {string} HTML (empty when no policy applies)
+ */
+export function renderCompliancePanel(data, config) {
+  const labels = config.ui.labels
+  const applicable = evaluatePolicies(data, config).filter((r) => r.applies)
+  if (!applicable.length) return ''
+
+  const failed = applicable.filter((r) => !r.passed)
+  const summary = failed.length ? '' : `<p class="policy-summary">${labels.policiesMet}</p>`
+
+  return `
+    <div class="viewer-details viewer-compliance">
+      <div class="viewer-section-title">${labels.policies}</div>
+      ${summary}
+      <ul class="policy-list">
+        ${applicable.map((r) => renderPolicyItem(r, r.passed ? 'passed' : r.severity, config)).join('')}
+      </ul>
+    </div>
+  `
+}
@@ -0,0 +1,68 @@
+/**
+ * Questionnaire Module
+ * Guided creator mode: multiple-choice questions that pre-fill the matrix
+ */
+
+import { applyQuestionnaire } from '../questionnaire.js'
+
+/**
+ * Render a single question as a radio group
+ * @param {Object} question - Question config
+ * @returns {string} HTML
+ */
+function renderQuestion(question) {
+  const name = `question-${question.id}`
+  const options = question.answers
+    .map((answer) => {
+      const inputId = `${name}-${answer.value}`
+      return `
+        <label class="checkbox-card" for="${inputId}">
+          <input type="radio" id="${inputId}" name="${name}" value="${answer.value}" data-question="${question.id}">
+          <div class="checkbox-content">
+            <div class="checkbox-title">${answer.label}</div>
+          </div>
+        </label>
+      `
+    })
+    .join('')
+
+  return `
+    <fieldset class="field-group question">
+      <legend class="field-label">${question.text}</legend>
+      <div class="checkbox-grid">${options}</div>
+    </fieldset>
+  `
+}
+
+/**
+ * Render the questionnaire and wire up its buttons
+ * @param {Object} config - App configuration
+ * @param {Function} onDone - Called with creator initial values
+ * @param {Function} onBack - Called when the user returns to the matrix
+ */
+export function renderQuestionnaire(config, onDone, onBack) {
+  const { title, intro, questions } = config.questionnaire
+  const labels = config.ui.labels
+
+  document.getElementById('app').innerHTML = `
+    <form class="questionnaire" id="questionnaire">
+      <h2 class="questionnaire-title">${title || ''}</h2>
+      <p class="field-description">${intro || ''}</p>
+      ${questions.map(renderQuestion).join('')}
+      <div class="submit-row questionnaire-actions">
+        <button type="button" class="btn btn-secondary" id="btn-guided-back">${labels.guidedBack}</button>
+        <button type="submit" class="btn btn-primary">${labels.guidedContinue}</button>
+      </div>
+    </form>
+  `
+
+  document.getElementById('btn-guided-back')?.addEventListener('click', onBack)
+  document.getElementById('questionnaire')?.addEventListener('submit', (e) => {
+    e.preventDefault()
+    const answers = {}
+    document.querySelectorAll('input[data-question]:checked').forEach((el) => {
+      answers[el.dataset.question] = el.value
+    })
+    onDone(applyQuestionnaire(answers, config))
+  })
+}
@@ -1,13 +1,28 @@
 /**
  * Viewer Module
  * Matrix-first readonly display with quadrant banner
- * Backward compatible with v1 bullet format
+ * Older statements are shown migrated, under a legacy banner
  */
 
-import { getQuadrant, getAxisLabel, getLabel, getLabels, getBaseUrl, getBadgeServiceUrl } from '../config.js'
-import { badgeUrl, badgeMarkdown } from '../core.js'
+import {
+  getStatementQuadrant,
+  getScore,
+  getAxisLabel,
+  getLabel,
+  getLabels,
+  getExtraFields,
+  getBaseUrl,
+  getBadge,
+  getBadgeServiceUrl,
+  checkSignature,
+  migrateToCurrent,
+} from '../config.js'
+import { badgeUrl, badgeMarkdown, encode, flattenFields } from '../core.js'
+import { escapeHtml } from './html.js'
 import { copyField } from './toast.js'
-import { renderOutputPanel } from './output.js'
+import { renderOutputPanel, initBadgeDownload } from './output.js'
+import { getDotPosition, gridStyle, renderQuadrantLabels } from './matrix.js'
+import { renderCompliancePanel } from './policies.js'
 
 /**
  * Render the viewer mode
@@ -16,16 +31,16 @@ import { renderOutputPanel } from './output.js'
  * @param {Object} config - App configuration
  * @param {Function} onEdit - Callback when edit button is clicked
  * @param {Function} onNew - Callback when new button is clicked
+ * @param {Function} onUpgrade - Callback when a legacy statement's upgrade button is clicked
  */
-export function renderViewer(data, encoded, config, onEdit, onNew) {
-  const isV2 = data._v === 2
-  const html = isV2
-    ? renderV2Viewer(data, encoded, config)
-    : renderV1Viewer(data, encoded, config)
+export function renderViewer(data, encoded, config, onEdit, onNew, onUpgrade) {
+  const legacyBanner = data._v === config.meta.formatVersion ? '' : renderLegacyBanner(data, config)
+  const html = renderV2Viewer(migrateToCurrent(data, config), encoded, config, legacyBanner)
 
   const labels = getLabels(config)
 
   document.getElementById('app').innerHTML = `
+    <div class="viewer-signature" id="viewer-signature" role="status" hidden></div>
     ${html}
     <div class="viewer-actions">
       <button type="button" class="btn btn-primary" id="btn-edit">
@@ -37,7 +52,7 @@ export function renderViewer(data, encoded, config, onEdit, onNew) {
         ${labels.createNew}
       </button>
     </div>
-    ${renderViewerOutput(encoded, config)}
+    ${renderViewerOutput(data, encoded, config)}
   `
 
   document.getElementById('btn-edit')?.addEventListener('click', () => {
@@ -46,21 +61,49 @@ export function renderViewer(data, encoded, config, onEdit, onNew) {
   document.getElementById('btn-new')?.addEventListener('click', () => {
     if (onNew) onNew()
   })
+  document.getElementById('btn-upgrade')?.addEventListener('click', () => {
+    if (onUpgrade) onUpgrade(encoded)
+  })
   document.querySelectorAll('.btn-copy').forEach((btn) => {
     btn.addEventListener('click', () => copyField(btn.dataset.copy))
   })
+  initBadgeDownload()
+  showSignatureStatus(encoded, config)
 }
 
 /**
- * Render v2 matrix-first viewer
+ * Verify the statement signature and show who signed it
+ * @param {string} encoded - Encoded statement
+ * @param {Object} config - App configuration
  */
-function renderV2Viewer(data, encoded, config) {
-  const stakes = data.stakes || 3
-  const autonomy = data.autonomy || 3
-  const q = getQuadrant(stakes, autonomy, config)
+async function showSignatureStatus(encoded, config) {
+  const { status, kid } = await checkSignature(encoded, config)
+  const el = document.getElementById('viewer-signature')
+  if (!el || status === 'unsigned') return
+
+  const text = config.ui?.notices?.signature?.[status] || status
+  el.textContent = text.replace('{kid}', kid)
+  el.className = `viewer-signature viewer-signature--${status}`
+  el.hidden = false
+}
 
-  const xPct = ((stakes - 1) / 4) * 100
-  const yPct = ((5 - autonomy) / 4) * 100
+/**
+ * Render v2 matrix-first viewer
+ * @param {Object} data - Statement in the current format
+ * @param {string} encoded - Encoded statement
+ * @param {Object} config - App configuration
+ * @param {string} legacyBanner - HTML shown above the quadrant ('' when current)
+ * @returns {string} HTML
+ */
+function renderV2Viewer(data, encoded, config, legacyBanner) {
+  const stakes = data.stakes ?? config.axes.stakes.default
+  const autonomy = data.autonomy ?? config.axes.autonomy.default
+  const q = getStatementQuadrant(data, config)
+  const { xPct, yPct } = getDotPosition(stakes, autonomy, config)
+  const score = getScore(data, config)
+  const scoreHtml = score === null
+    ? ''
+    : `<span class="quadrant-score">${config.ui.labels.score} ${score}/100</span>`
 
   const notice = config.ui?.notices?.viewer || {}
 
@@ -71,24 +114,21 @@ function renderV2Viewer(data, encoded, config) {
       <div class="viewer-notice">
         <p class="viewer-notice-text">${notice.text || ''}</p>
       </div>
+      ${legacyBanner}
 
       <div class="viewer-quadrant-banner" style="--banner-color: #${q.color}">
         <span class="quadrant-dot" style="background: #${q.color}"></span>
         <span class="quadrant-name">${q.label}</span>
         <span class="quadrant-desc">${q.description}</span>
+        ${scoreHtml}
       </div>
 
       <div class="viewer-matrix-readonly">
-        <div class="viewer-matrix-grid">
+        <div class="viewer-matrix-grid" style="${gridStyle(config)}">
           <div class="matrix-dot" style="left: ${xPct}%; top: ${yPct}%; --dot-color: #${q.color}"></div>
           <div class="matrix-crosshair-h" style="top: ${yPct}%; --cross-color: #${q.color}"></div>
           <div class="matrix-crosshair-v" style="left: ${xPct}%; --cross-color: #${q.color}"></div>
-
-          <div class="matrix-quadrant-label matrix-quadrant-label--top-left ${q.key === 'vibe' ? 'active' : ''}">${config.quadrants.vibe.label}</div>
-          <div class="matrix-quadrant-label matrix-quadrant-label--top-right ${q.key === 'inspection' ? 'active' : ''}">${config.quadrants.inspection.label}</div>
-          <div class="matrix-quadrant-label matrix-quadrant-label--bottom-left ${q.key === 'handcrafted' ? 'active' : ''}">${config.quadrants.handcrafted.label}</div>
-          <div class="matrix-quadrant-label matrix-quadrant-label--bottom-right ${q.key === 'professional' ? 'active' : ''}">${config.quadrants.professional.label}</div>
-          <div class="matrix-quadrant-label matrix-quadrant-label--center ${q.key === 'collaborative' ? 'active' : ''}">${config.quadrants.collaborative.label}</div>
+          ${renderQuadrantLabels(config, q.key)}
         </div>
 
         <div class="viewer-axis-values">
@@ -104,99 +144,102 @@ function renderV2Viewer(data, encoded, config) {
       </div>
 
       ${detailBullets}
+      ${renderCompliancePanel(data, config)}
     </div>
   `
 }
 
 /**
- * Render detail bullets for v2 viewer
+ * Format a single detail value according to its field type
+ * @param {string} key - Detail key
+ * @param {Object} field - Detail field config
+ * @param {*} value - Decoded value
+ * @param {Object} config
+ * @returns {string} HTML
  */
-function renderV2Details(data, config) {
-  const bullets = []
-
-  const detailFields = [
-    { key: 'scope', label: 'Scope' },
-    { key: 'tools', label: 'Tools' },
-    { key: 'review', label: 'Review' },
-    { key: 'watch', label: 'Watch areas' },
-  ]
-
-  for (const { key, label } of detailFields) {
-    const value = data[key]
-    if (!value) continue
-
-    if (Array.isArray(value)) {
-      const labels = value.map((v) => getLabel(key, v, config))
-      bullets.push(`<li><span class="bullet-label">${label}</span>${labels.join(', ')}</li>`)
-    } else {
-      const display = getLabel(key, value, config)
-      bullets.push(`<li><span class="bullet-label">${label}</span>${display}</li>`)
+function formatDetailValue(key, field, value, config) {
+  const values = Array.isArray(value) ? value : [value]
+
+  switch (field.type) {
+    case 'enum':
+    case 'flags':
+      return values.map((v) => escapeHtml(getLabel(key, String(v), config))).join(', ')
+    case 'date': {
+      const date = new Date(`${value}T00:00:00`)
+      if (Number.isNaN(date.getTime())) return escapeHtml(value)
+      const formatted = date.toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      })
+      return `<time datetime="${escapeHtml(value)}">${formatted}</time>`
+    }
+    default: {
+      const text = escapeHtml(values.join(', '))
+      return field.multiline ? text.replace(/\n/g, '<br>') : text
     }
   }
+}
 
-  if (data.notes) {
-    bullets.push(`<li><span class="bullet-label">Notes</span>${data.notes}</li>`)
-  }
+/**
+ * Render detail bullets for v2 viewer, driven by config.details order
+ */
+function renderV2Details(data, config) {
+  const labels = getLabels(config)
+  const bullets = []
 
-  if (data.created) {
-    bullets.push(`<li><span class="bullet-label">Created</span>${data.created}</li>`)
+  for (const [key, field] of Object.entries(config.details)) {
+    const value = data[key]
+    if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) continue
+    bullets.push(
+      `<li><span class="bullet-label">${escapeHtml(field.label || key)}</span>${formatDetailValue(key, field, value, config)}</li>`
+    )
   }
 
-  if (bullets.length === 0) return ''
+  const unknown = flattenFields(getExtraFields(data, config))
+  const otherBullets = unknown.map(([key, value]) => {
+    const display = Array.isArray(value) ? value.join(', ') : value
+    return `<li><span class="bullet-label">${escapeHtml(key)}</span>${escapeHtml(display)}</li>`
+  })
 
-  return `
+  const sections = []
+  if (bullets.length) {
+    sections.push(`
     <div class="viewer-details">
-      <div class="viewer-section-title">Details</div>
+      <div class="viewer-section-title">${labels.details}</div>
       <ul>${bullets.join('')}</ul>
     </div>
-  `
+  `)
+  }
+  if (otherBullets.length) {
+    sections.push(`
+    <div class="viewer-details viewer-details--other">
+      <div class="viewer-section-title">${labels.otherFields}</div>
+      <ul>${otherBullets.join('')}</ul>
+    </div>
+  `)
+  }
+
+  return sections.join('')
 }
 
 /**
- * Render v1 legacy bullet format viewer
+ * Render the banner for a statement in an older format, with an upgrade
+ * button when the config declares a migration
+ * @param {Object} data - Decoded statement, before migration
+ * @param {Object} config - App configuration
+ * @returns {string} HTML
  */
-function renderV1Viewer(data, encoded, config) {
-  const notice = config.ui?.notices?.viewer || {}
-
-  // v1 fields - render as simple bullet list
-  const bulletFields = [
-    { key: 'scope', label: 'Scope' },
-    { key: 'intent', label: 'Purpose' },
-    { key: 'traj', label: 'Lifespan' },
-    { key: 'ai', label: 'AI helped' },
-    { key: 'tools', label: 'Tools' },
-    { key: 'review', label: 'Review' },
-    { key: 'strengths', label: 'Expertise' },
-    { key: 'env', label: 'Environment' },
-    { key: 'data', label: 'Data sensitivity' },
-    { key: 'valid', label: 'Testing' },
-    { key: 'watch', label: 'Watch areas' },
-  ]
-
-  const bullets = []
-  for (const { key, label } of bulletFields) {
-    const value = data[key]
-    if (!value) continue
-    const display = Array.isArray(value) ? value.join(', ') : value
-    bullets.push(`<li><span class="bullet-label">${label}</span>${display}</li>`)
-  }
-
-  if (data.notes) {
-    bullets.push(`<li><span class="bullet-label">Notes</span>${data.notes}</li>`)
-  }
+function renderLegacyBanner(data, config) {
+  const upgradeButton = config.migrations?.[data._v]
+    ? `<button type="button" class="btn btn-secondary btn-upgrade" id="btn-upgrade">${getLabels(config).upgrade}</button>`
+    : ''
 
   return `
-    <div class="viewer">
-      <div class="viewer-notice">
-        <p class="viewer-notice-text">${notice.text || ''}</p>
-      </div>
-      <div class="viewer-legacy-banner">
-        <span class="legacy-badge">v1</span>
-        Legacy format
-      </div>
-      <div class="viewer-bullets">
-        <ul>${bullets.join('')}</ul>
-      </div>
+    <div class="viewer-legacy-banner">
+      <span class="legacy-badge">v${escapeHtml(data._v)}</span>
+      Legacy format
+      ${upgradeButton}
     </div>
   `
 }
@@ -204,61 +247,30 @@ function renderV1Viewer(data, encoded, config) {
 /**
  * Render output panel for viewer mode
  */
-function renderViewerOutput(encoded, config) {
+function renderViewerOutput(data, encoded, config) {
   const labels = getLabels(config)
   const baseUrl = getBaseUrl()
   const badgeService = getBadgeServiceUrl(config)
   const fullUrl = `${baseUrl}/#${encoded}`
 
-  // Determine badge text/color from encoded data
-  const { decode } = import('../core.js').then ? {} : {}
-  let badgeText = 'AI Coauthored'
-  let badgeColor = '58a6ff'
-
-  // Try to get quadrant info from the hash
-  const data = decodeFromString(encoded)
-  if (data && data._v === 2) {
-    const q = getQuadrant(data.stakes || 3, data.autonomy || 3, config)
-    if (q) {
-      badgeText = q.label
-      badgeColor = q.color
-    }
-  }
+  const { text: badgeText, color: badgeColor } = getBadge(data, config)
 
   const markdown = badgeMarkdown(encoded, badgeText, badgeColor, baseUrl, badgeService)
   const badgeImgHtml = `<img src="${badgeUrl(badgeText, badgeColor, badgeService)}" alt="Badge">`
 
+  // Signatures cover the canonical content, so they stay valid in the compact form
+  const compactUrl = data._v === config.meta.formatVersion
+    ? `${baseUrl}/#${encode(data, config, { compact: true })}`
+    : ''
+
   return renderOutputPanel(config, {
     title: labels.share,
     badgeHtml: badgeImgHtml,
     encoded,
     url: fullUrl,
+    compactUrl,
     markdown,
     badgeText,
     badgeColor,
   })
 }
-
-/**
- * Inline decode to avoid circular import
- */
-function decodeFromString(str) {
-  if (!str || typeof str !== 'string') return null
-  try {
-    const result = {}
-    for (const segment of str.split(';')) {
-      if (!segment) continue
-      const ci = segment.indexOf(':')
-      if (ci === -1) continue
-      const key = segment.slice(0, ci)
-      const val = segment.slice(ci + 1)
-      if (key === 'v') result._v = parseInt(val, 10)
-      else if (key === 'o') result._o = val
-      else if (/^-?\d+$/.test(val)) result[key] = parseInt(val, 10)
-      else result[key] = val
-    }
-    return result
-  } catch {
-    return null
-  }
-}
@@ -0,0 +1,75 @@
+/**
+ * Manifest - maps path globs to statements
+ *
+ * `.coauthored` at the repo root holds one rule per line:
+ *
+ *   # glob              statement (or statement URL)
+ *   src/legacy/**       v:2;o:coauthored.dev;stakes:4;autonomy:1
+ *   scripts/*.sh        v:2;o:coauthored.dev;stakes:1;autonomy:5
+ *
+ * The most specific matching glob wins (see globSpecificity); ties go to the
+ * later line.
+ */
+
+import { parseUrl } from './core.js'
+import { globToRegExp, globSpecificity } from './files.js'
+
+export const MANIFEST_FILE = '.coauthored'
+
+/**
+ * Parse manifest text into rules
+ * @param {string} text - Manifest file contents
+ * @returns {{ rules: Array<{ line: number, pattern: string, statement: string, regex: RegExp, specificity: number[] }>, problems: Array<{ line: number, message: string }> }}
+ */
+export function parseManifest(text) {
+  const rules = []
+  const problems = []
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1
+    const content = raw.replace(/(^|\s)#.*$/, '').trim()
+    if (!content) return
+
+    const parts = content.split(/\s+/)
+    if (parts.length !== 2) {
+      problems.push({ line, message: 'Expected "<glob> <statement>"' })
+      return
+    }
+
+    const [pattern, value] = parts
+    const statement = parseUrl(value)
+    if (!statement) {
+      problems.push({ line, message: `Missing statement for ${pattern}` })
+      return
+    }
+
+    rules.push({
+      line,
+      pattern,
+      statement,
+      regex: globToRegExp(pattern),
+      specificity: globSpecificity(pattern),
+    })
+  })
+
+  return { rules, problems }
+}
+
+/**
+ * Find the rule that applies to a path
+ * @param {Array} rules - Rules from parseManifest
+ * @param {string} path - `/`-separated path relative to the manifest
+ * @returns {Object|null} Winning rule, or null when nothing matches
+ */
+export function matchManifest(rules, path) {
+  let best = null
+  for (const rule of rules) {
+    if (!rule.regex.test(path)) continue
+    if (!best || compareSpecificity(rule.specificity, best.specificity) >= 0) best = rule
+  }
+  return best
+}
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1]
+}
@@ -0,0 +1,124 @@
+/**
+ * Policies - declarative team rules over a statement's axes and details
+ *
+ *   "policies": {
+ *     "high-risk-review": {
+ *       "severity": "error",
+ *       "message": "High stakes, AI-led work needs thorough review and trusted tests",
+ *       "when": { "stakes": { "gte": 4 }, "autonomy": { "gte": 4 } },
+ *       "require": { "review": { "includes": ["full", "tests"] } }
+ *     }
+ *   }
+ *
+ * A policy applies when every `when` condition holds (no `when`: always) and
+ * is violated when it applies and any `require` condition fails.
+ */
+
+import { toList } from './config.js'
+
+export const POLICY_SEVERITIES = ['error', 'warn', 'info']
+
+const OPERATORS = {
+  eq: (value, expected) => value.length === 1 && value[0] === String(expected),
+  ne: (value, expected) => !(value.length === 1 && value[0] === String(expected)),
+  in: (value, expected) => value.length > 0 && value.every((v) => expected.map(String).includes(v)),
+  gt: (value, expected) => numberOf(value) > expected,
+  gte: (value, expected) => numberOf(value) >= expected,
+  lt: (value, expected) => numberOf(value) < expected,
+  lte: (value, expected) => numberOf(value) <= expected,
+  includes: (value, expected) => toList(expected).every((e) => value.includes(e)),
+  excludes: (value, expected) => !toList(expected).some((e) => value.includes(e)),
+  present: (value, expected) => (value.length > 0) === Boolean(expected),
+}
+
+/**
+ * Numeric value of a single-valued field, NaN otherwise
+ * @param {string[]} value
+ * @returns {number}
+ */
+function numberOf(value) {
+  return value.length === 1 ? Number(value[0]) : NaN
+}
+
+/**
+ * Validate the policies section of a config
+ * @param {Object} config
+ * @throws {Error} If a policy is malformed
+ */
+export function validatePolicies(config) {
+  for (const [key, policy] of Object.entries(config.policies || {})) {
+    if (!POLICY_SEVERITIES.includes(policy.severity)) {
+      throw new Error(`Policy ${key} severity must be one of: ${POLICY_SEVERITIES.join(', ')}`)
+    }
+    if (!policy.require || !Object.keys(policy.require).length) {
+      throw new Error(`Policy ${key} requires a require block`)
+    }
+    for (const block of ['when', 'require']) {
+      for (const [field, condition] of Object.entries(policy[block] || {})) {
+        if (!(field in config.axes) && !(field in config.details)) {
+          throw new Error(`Policy ${key} refers to unknown field: ${field}`)
+        }
+        for (const op of Object.keys(condition)) {
+          if (!OPERATORS[op]) throw new Error(`Policy ${key} uses unknown operator: ${op}`)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Field value as a list of strings; missing axes fall back to their default
+ * @param {Object} data - Decoded statement
+ * @param {string} field - Axis or detail key
+ * @param {Object} config - Loaded config
+ * @returns {string[]}
+ */
+function fieldValue(data, field, config) {
+  return toList(data[field] ?? config.axes[field]?.default)
+}
+
+/**
+ * Whether every condition in a block holds
+ * @param {Object} block - `when` or `require`
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {boolean}
+ */
+function matches(block, data, config) {
+  return Object.entries(block || {}).every(([field, condition]) => {
+    const value = fieldValue(data, field, config)
+    return Object.entries(condition).every(([op, expected]) => OPERATORS[op](value, expected))
+  })
+}
+
+/**
+ * Evaluate every configured policy against a statement
+ * @param {Object} data - Decoded statement (current format version)
+ * @param {Object} config - Loaded config
+ * @returns {Array<{ key: string, severity: string, message: string, applies: boolean, passed: boolean }>}
+ *   Results in config order
+ */
+export function evaluatePolicies(data, config) {
+  return Object.entries(config.policies || {}).map(([key, policy]) => {
+    const applies = matches(policy.when, data, config)
+    return {
+      key,
+      severity: policy.severity,
+      message: policy.message || key,
+      applies,
+      passed: !applies || matches(policy.require, data, config),
+    }
+  })
+}
+
+/**
+ * Policies a statement violates, most severe first
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {Array<{ key: string, severity: string, message: string }>}
+ */
+export function getViolations(data, config) {
+  return evaluatePolicies(data, config)
+    .filter((r) => !r.passed)
+    .sort((a, b) => POLICY_SEVERITIES.indexOf(a.severity) - POLICY_SEVERITIES.indexOf(b.severity))
+}
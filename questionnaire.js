@@ -0,0 +1,88 @@
+/**
+ * Questionnaire - infers axis values and details from multiple-choice answers
+ *
+ *   "questionnaire": {
+ *     "questions": [
+ *       {
+ *         "id": "sensitive",
+ *         "text": "Does this touch auth, payments or personal data?",
+ *         "answers": [
+ *           { "value": "yes", "label": "Yes", "axes": { "stakes": 5 }, "details": { "watch": ["security"] } },
+ *           { "value": "no", "label": "No" }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Axis values from several answers: the highest wins (as in migrations).
+ * Flags details are merged; enum and text details take the last answer's value.
+ */
+
+/**
+ * Validate the questionnaire section of a config
+ * @param {Object} config
+ * @throws {Error} If a question or answer is malformed
+ */
+export function validateQuestionnaire(config) {
+  const ids = new Set()
+  for (const question of config.questionnaire?.questions || []) {
+    if (!question.id || !question.text) throw new Error('Questionnaire questions require id and text')
+    if (ids.has(question.id)) throw new Error(`Duplicate questionnaire question: ${question.id}`)
+    ids.add(question.id)
+    if (!question.answers?.length) throw new Error(`Question ${question.id} requires answers`)
+
+    for (const answer of question.answers) {
+      if (!answer.value || !answer.label) {
+        throw new Error(`Answers to ${question.id} require value and label`)
+      }
+      for (const [axisKey, value] of Object.entries(answer.axes || {})) {
+        const axis = config.axes[axisKey]
+        if (!axis) throw new Error(`Question ${question.id} sets unknown axis: ${axisKey}`)
+        if (!Number.isInteger(value) || value < axis.min || value > axis.max) {
+          throw new Error(`Question ${question.id} sets ${axisKey} outside ${axis.min}-${axis.max}`)
+        }
+      }
+      for (const key of Object.keys(answer.details || {})) {
+        if (!config.details[key]) throw new Error(`Question ${question.id} sets unknown detail: ${key}`)
+      }
+    }
+  }
+}
+
+/**
+ * Turn questionnaire answers into creator initial values
+ * @param {Object<string, string>} answers - Question id → chosen answer value;
+ *   unanswered questions are skipped
+ * @param {Object} config - Loaded config
+ * @returns {Object} Axis and detail values, e.g. { stakes, autonomy, watch: [...] }
+ */
+export function applyQuestionnaire(answers, config) {
+  const result = {}
+
+  for (const question of config.questionnaire?.questions || []) {
+    const answer = question.answers.find((a) => a.value === answers[question.id])
+    if (!answer) continue
+
+    for (const [axisKey, value] of Object.entries(answer.axes || {})) {
+      if (result[axisKey] === undefined || value > result[axisKey]) result[axisKey] = value
+    }
+    for (const [key, value] of Object.entries(answer.details || {})) {
+      if (config.details[key].type === 'flags') {
+        const merged = [...(result[key] || []), ...(Array.isArray(value) ? value : [value])]
+        result[key] = merged.filter((v, i) => merged.indexOf(v) === i)
+      } else {
+        result[key] = value
+      }
+    }
+  }
+
+  // Axes first, then details, both in config order
+  const ordered = {}
+  for (const [axisKey, axis] of Object.entries(config.axes)) {
+    ordered[axisKey] = result[axisKey] ?? axis.default
+  }
+  for (const key of Object.keys(config.details)) {
+    if (result[key] !== undefined) ordered[key] = result[key]
+  }
+  return ordered
+}
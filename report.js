@@ -0,0 +1,291 @@
+/**
+ * Report - aggregates many statements into a project summary
+ *
+ * Used by `cli.js report`. Headings come from `ui.report` and every axis,
+ * quadrant and detail label from the config, so forks get their own wording.
+ */
+
+import { getLabel, getQuadrant, toList } from './config.js'
+import { escapeHtml } from './js/html.js'
+
+// Review methods that count as a thorough human check
+const THOROUGH_REVIEW = ['full', 'tests']
+
+const SHADES = ['░', '▒', '▓', '█']
+
+/**
+ * Axis values from min to max
+ * @param {Object} axis - Axis config
+ * @returns {number[]}
+ */
+function axisValues(axis) {
+  const values = []
+  for (let v = axis.min; v <= axis.max; v++) values.push(v)
+  return values
+}
+
+/**
+ * Whether a value sits in the upper half of an axis
+ * @param {number} value
+ * @param {Object} axis - Axis config
+ * @returns {boolean}
+ */
+function isHigh(value, axis) {
+  return value > (axis.min + axis.max) / 2
+}
+
+/**
+ * Count flag values across statements, most common first
+ * @param {Array<Object>} items - Decoded statements
+ * @param {string} key - Flags detail key
+ * @param {Object} config - Loaded config
+ * @returns {Array<{ value: string, label: string, count: number }>}
+ */
+function countFlags(items, key, config) {
+  const counts = new Map()
+  for (const { data } of items) {
+    for (const value of toList(data[key])) {
+      counts.set(value, (counts.get(value) || 0) + 1)
+    }
+  }
+  return [...counts]
+    .map(([value, count]) => ({ value, label: getLabel(key, value, config), count }))
+    .sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Summarise decoded statements
+ * @param {Array<{ file: string, line: number, data: Object }>} items - Statements
+ *   in the current format version
+ * @param {Object} config - Loaded config
+ * @returns {Object} Summary used by the renderers
+ */
+export function summarizeStatements(items, config) {
+  const { stakes: stakesAxis, autonomy: autonomyAxis } = config.axes
+  const quadrants = Object.entries(config.quadrants).map(([key, q]) => ({
+    key,
+    label: q.label,
+    color: q.color,
+    count: 0,
+  }))
+  const grid = {}
+  for (const s of axisValues(stakesAxis)) {
+    grid[s] = Object.fromEntries(axisValues(autonomyAxis).map((a) => [a, 0]))
+  }
+
+  let unclassified = 0
+  const flagged = []
+
+  for (const item of items) {
+    const stakes = item.data.stakes ?? stakesAxis.default
+    const autonomy = item.data.autonomy ?? autonomyAxis.default
+    if (grid[stakes]?.[autonomy] !== undefined) grid[stakes][autonomy]++
+
+    const q = getQuadrant(stakes, autonomy, config)
+    const entry = q && quadrants.find((e) => e.key === q.key)
+    if (entry) entry.count++
+    else unclassified++
+
+    const review = toList(item.data.review)
+    if (
+      isHigh(stakes, stakesAxis) &&
+      isHigh(autonomy, autonomyAxis) &&
+      !THOROUGH_REVIEW.some((r) => review.includes(r))
+    ) {
+      flagged.push({ ...item, stakes, autonomy })
+    }
+  }
+
+  return {
+    total: items.length,
+    quadrants,
+    unclassified,
+    grid,
+    maxCell: Math.max(0, ...Object.values(grid).flatMap((row) => Object.values(row))),
+    review: config.details.review ? countFlags(items, 'review', config) : [],
+    watch: config.details.watch ? countFlags(items, 'watch', config) : [],
+    flagged,
+  }
+}
+
+/**
+ * Percentage of the total, rounded
+ * @param {number} count
+ * @param {number} total
+ * @returns {string}
+ */
+function percent(count, total) {
+  return total ? `${Math.round((count / total) * 100)}%` : '0%'
+}
+
+/**
+ * Text cell for the heatmap: shade by share of the busiest cell, then count
+ * @param {number} count
+ * @param {number} max
+ * @returns {string}
+ */
+function shadeCell(count, max) {
+  if (!count) return '·'
+  const shade = SHADES[Math.min(SHADES.length - 1, Math.floor((count / max) * SHADES.length))]
+  return `${shade}${count}`
+}
+
+/**
+ * Render the stakes × autonomy grid as monospace text, high stakes on top
+ * @param {Object} summary - From summarizeStatements
+ * @param {Object} config - Loaded config
+ * @returns {string}
+ */
+export function renderHeatmapText(summary, config) {
+  const { stakes: stakesAxis, autonomy: autonomyAxis } = config.axes
+  const rowLabel = (s) => `${s} ${stakesAxis.stops?.find((st) => st.value === s)?.label || ''}`.trim()
+  const stakesValues = axisValues(stakesAxis).reverse()
+  const autonomyValues = axisValues(autonomyAxis)
+  const labelWidth = Math.max(stakesAxis.label.length, ...stakesValues.map((s) => rowLabel(s).length))
+  const cellWidth = Math.max(4, String(summary.maxCell).length + 2)
+
+  const lines = [
+    `${''.padEnd(labelWidth)}  ${autonomyAxis.label} →`,
+    `${stakesAxis.label.padEnd(labelWidth)}  ${autonomyValues.map((a) => String(a).padEnd(cellWidth)).join('')}`.trimEnd(),
+  ]
+  for (const s of stakesValues) {
+    const cells = autonomyValues.map((a) => shadeCell(summary.grid[s][a], summary.maxCell).padEnd(cellWidth))
+    lines.push(`${rowLabel(s).padEnd(labelWidth)}  ${cells.join('')}`.trimEnd())
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Review labels for a flagged statement, or the "none" text
+ * @param {Object} data - Decoded statement
+ * @param {Object} config - Loaded config
+ * @returns {string}
+ */
+function reviewText(data, config) {
+  const values = toList(data.review)
+  return values.length
+    ? values.map((v) => getLabel('review', v, config)).join(', ')
+    : config.ui.report.none
+}
+
+/**
+ * Render a summary as Markdown
+ * @param {Object} summary - From summarizeStatements
+ * @param {Object} config - Loaded config
+ * @returns {string}
+ */
+export function renderMarkdownReport(summary, config) {
+  const text = config.ui.report
+  const out = [`# ${text.title}`, '', `${text.total}: ${summary.total}`, '']
+
+  out.push(`## ${text.quadrants}`, '', `| | ${text.count} | ${text.share} |`, '|---|---:|---:|')
+  for (const q of summary.quadrants) {
+    out.push(`| ${q.label} | ${q.count} | ${percent(q.count, summary.total)} |`)
+  }
+  if (summary.unclassified) {
+    out.push(`| ${text.unclassified} | ${summary.unclassified} | ${percent(summary.unclassified, summary.total)} |`)
+  }
+
+  out.push('', `## ${text.heatmap}`, '', '```', renderHeatmapText(summary, config), '```')
+
+  for (const key of ['review', 'watch']) {
+    if (!config.details[key]) continue
+    out.push('', `## ${config.details[key].label}`, '')
+    if (!summary[key].length) out.push(text.none)
+    for (const { label, count } of summary[key]) out.push(`- ${label}: ${count}`)
+  }
+
+  out.push('', `## ${text.flagged}`, '')
+  if (!summary.flagged.length) out.push(text.none)
+  for (const item of summary.flagged) {
+    out.push(`- \`${item.file}:${item.line}\` — ${config.axes.stakes.label} ${item.stakes}, ${config.axes.autonomy.label} ${item.autonomy}; ${config.details.review?.label || 'Review'}: ${reviewText(item.data, config)}`)
+  }
+
+  return out.join('\n') + '\n'
+}
+
+/**
+ * Render a summary as a standalone HTML page
+ * @param {Object} summary - From summarizeStatements
+ * @param {Object} config - Loaded config
+ * @returns {string}
+ */
+export function renderHtmlReport(summary, config) {
+  const text = config.ui.report
+  const { stakes: stakesAxis, autonomy: autonomyAxis } = config.axes
+
+  const quadrantRows = summary.quadrants
+    .map((q) => `<tr><td><span class="swatch" style="background:#${q.color}"></span>${escapeHtml(q.label)}</td><td>${q.count}</td><td>${percent(q.count, summary.total)}</td></tr>`)
+    .join('')
+  const unclassifiedRow = summary.unclassified
+    ? `<tr><td>${escapeHtml(text.unclassified)}</td><td>${summary.unclassified}</td><td>${percent(summary.unclassified, summary.total)}</td></tr>`
+    : ''
+
+  const heatmapRows = axisValues(stakesAxis)
+    .reverse()
+    .map((s) => {
+      const stop = stakesAxis.stops?.find((st) => st.value === s)
+      const cells = axisValues(autonomyAxis)
+        .map((a) => {
+          const count = summary.grid[s][a]
+          const q = getQuadrant(s, a, config)
+          const mix = summary.maxCell ? Math.round(10 + 90 * (count / summary.maxCell)) : 10
+          const color = q ? `#${q.color}` : '#888888'
+          return `<td style="background:color-mix(in srgb, ${color} ${mix}%, transparent)">${count || ''}</td>`
+        })
+        .join('')
+      return `<tr><th>${s} ${escapeHtml(stop?.label || '')}</th>${cells}</tr>`
+    })
+    .join('')
+  const heatmapHead = axisValues(autonomyAxis)
+    .map((a) => `<th>${a} ${escapeHtml(autonomyAxis.stops?.find((st) => st.value === a)?.label || '')}</th>`)
+    .join('')
+
+  const flagLists = ['review', 'watch']
+    .filter((key) => config.details[key])
+    .map((key) => {
+      const items = summary[key].length
+        ? summary[key].map(({ label, count }) => `<li>${escapeHtml(label)}: ${count}</li>`).join('')
+        : `<li>${escapeHtml(text.none)}</li>`
+      return `<h2>${escapeHtml(config.details[key].label)}</h2><ul>${items}</ul>`
+    })
+    .join('')
+
+  const flaggedItems = summary.flagged.length
+    ? summary.flagged
+        .map((item) => `<li><code>${escapeHtml(`${item.file}:${item.line}`)}</code> — ${escapeHtml(stakesAxis.label)} ${item.stakes}, ${escapeHtml(autonomyAxis.label)} ${item.autonomy}; ${escapeHtml(config.details.review?.label || 'Review')}: ${escapeHtml(reviewText(item.data, config))}</li>`)
+        .join('')
+    : `<li>${escapeHtml(text.none)}</li>`
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(text.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: 0.4rem 0.7rem; text-align: left; }
+  .heatmap td { text-align: center; min-width: 3rem; font-variant-numeric: tabular-nums; }
+  .swatch { display: inline-block; width: 0.8rem; height: 0.8rem; border-radius: 2px; margin-right: 0.5rem; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(text.title)}</h1>
+<p>${escapeHtml(text.total)}: ${summary.total}</p>
+<h2>${escapeHtml(text.quadrants)}</h2>
+<table>
+<thead><tr><th></th><th>${escapeHtml(text.count)}</th><th>${escapeHtml(text.share)}</th></tr></thead>
+<tbody>${quadrantRows}${unclassifiedRow}</tbody></table>
+<h2>${escapeHtml(text.heatmap)}</h2>
+<table class="heatmap">
+<thead><tr><th>${escapeHtml(stakesAxis.label)} \\ ${escapeHtml(autonomyAxis.label)}</th>${heatmapHead}</tr></thead>
+<tbody>${heatmapRows}</tbody>
+</table>
+${flagLists}
+<h2>${escapeHtml(text.flagged)}</h2>
+<ul>${flaggedItems}</ul>
+</body>
+</html>
+`
+}
@@ -0,0 +1,65 @@
+/**
+ * Commit trailers end to end: hook install, commits, an amend and a merge in
+ * a temporary git repository, then `log --json`
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url))
+const STATEMENT = 'v:2;o:coauthored.dev;stakes:4;autonomy:3;review:full'
+
+// Keep the caller's git config (hooksPath, signing, ...) out of the repository
+const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('GIT_')))
+
+test('hook adds trailers to new commits only, log counts them', (t) => {
+  const repo = mkdtempSync(join(tmpdir(), 'coauthored-'))
+  t.after(() => rmSync(repo, { recursive: true, force: true }))
+
+  const run = (cmd, args, extra = {}) =>
+    execFileSync(cmd, args, { cwd: repo, env: { ...env, HOME: repo, ...extra }, encoding: 'utf8' })
+  // Each commit gets its own date, so a new commit never looks like an amend
+  const commit = (day, ...args) => {
+    const date = `2024-01-${day}T12:00:00Z`
+    run('git', ['commit', '-q', ...args], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date })
+  }
+  const message = () => run('git', ['log', '-1', '--format=%B']).trim()
+
+  run('git', ['init', '-q', '-b', 'main'])
+  run('git', ['config', 'user.name', 'Test'])
+  run('git', ['config', 'user.email', 'test@example.com'])
+  run('node', [CLI, 'hook', 'install', STATEMENT])
+
+  writeFileSync(join(repo, 'a.txt'), 'a\n')
+  run('git', ['add', '.'])
+  commit('01', '-m', 'Add a')
+  assert.match(message(), new RegExp(`Coauthored: ${STATEMENT.replace(/[.;]/g, '\\$&')}$`))
+
+  commit('02', '--amend', '-m', 'Add a (handle --amend)')
+  assert.equal(message(), 'Add a (handle --amend)')
+
+  run('git', ['checkout', '-q', '-b', 'topic'])
+  writeFileSync(join(repo, 'b.txt'), 'b\n')
+  run('git', ['add', '.'])
+  commit('03', '-m', 'Add b')
+  run('git', ['checkout', '-q', 'main'])
+  writeFileSync(join(repo, 'c.txt'), 'c\n')
+  run('git', ['add', '.'])
+  commit('04', '-m', 'Add c')
+  const date = '2024-01-05T12:00:00Z'
+  run('git', ['merge', '-q', '--no-ff', '-m', 'Merge topic', 'topic'], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date })
+  assert.equal(message(), 'Merge topic')
+
+  const log = JSON.parse(run('node', [CLI, 'log', '--json']))
+  assert.equal(log.commits, 4)
+  assert.equal(log.withTrailer, 2)
+  assert.deepEqual(
+    log.groups.map((g) => [g.key, g.commits, g.stakes, g.autonomy]),
+    [['2024-01', 2, 4, 3]]
+  )
+})
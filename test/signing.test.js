@@ -0,0 +1,55 @@
+/**
+ * Signatures stay valid across re-encoding and config changes that don't
+ * change the statement
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { decode, encode, canonicalize, generateKeyPair, signStatement, verifyStatement } from '../core.js'
+
+const config = JSON.parse(readFileSync(new URL('../coauthored.json', import.meta.url), 'utf8'))
+
+/**
+ * The same config with axes, details and flag values in reverse order
+ * @returns {Object}
+ */
+function reorderedConfig() {
+  const reversed = (obj) => Object.fromEntries(Object.entries(obj).reverse())
+  const details = reversed(config.details)
+  for (const [key, field] of Object.entries(details)) {
+    if (field.values) details[key] = { ...field, values: [...field.values].reverse() }
+  }
+  return { ...config, axes: reversed(config.axes), details }
+}
+
+test('signature survives a config reorder and a new detail', async () => {
+  const { kid, publicKey, privateKey } = await generateKeyPair()
+  const signed = await signStatement(
+    'v:2;o:coauthored.dev;stakes:4;autonomy:3;review:full,tests;watch:security,perf;ticket:ABC-1',
+    privateKey,
+    kid,
+    config
+  )
+  assert.equal(await verifyStatement(signed, publicKey, config), true)
+
+  const reordered = reorderedConfig()
+  assert.equal(await verifyStatement(signed, publicKey, reordered), true)
+
+  // A detail the statement carried as an extra key
+  const extended = { ...config, details: { ticket: { type: 'text', label: 'Ticket' }, ...config.details } }
+  assert.equal(await verifyStatement(signed, publicKey, extended), true)
+
+  // Re-encoded in the reordered config's canonical form
+  const reencoded = encode(canonicalize(decode(signed), reordered), reordered)
+  assert.notEqual(reencoded, signed)
+  assert.equal(await verifyStatement(reencoded, publicKey, config), true)
+})
+
+test('signature fails when content or key id changes', async () => {
+  const { kid, publicKey, privateKey } = await generateKeyPair()
+  const signed = await signStatement('v:2;o:coauthored.dev;stakes:4;autonomy:3', privateKey, kid, config)
+
+  assert.equal(await verifyStatement(signed.replace('stakes:4', 'stakes:2'), publicKey, config), false)
+  assert.equal(await verifyStatement(signed.replace(`kid:${kid}`, 'kid:other'), publicKey, config), false)
+})